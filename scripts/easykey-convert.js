@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// EasyKey batch converter: every .mid/.midi/.mxl/.musicxml/.xml/.abc in a folder -> <name>.ekj.json + <name>.svg
+// Usage: node scripts/easykey-convert.js <input-folder> [output-folder] [--layout classic|pianoroll|falling]
+// Uses the same core as the page (src/public/easykey-core.js) with Node parsers plugged in.
+const fs = require("fs");
+const path = require("path");
+const { Midi } = require("@tonejs/midi");
+const JSZip = require("jszip");
+const { DOMParser } = require("linkedom");
+const EasyKeyCore = require("../src/public/easykey-core.js");
+
+EasyKeyCore.configure({ Midi, JSZip, DOMParser });
+
+const INPUT_EXTENSIONS = [".mid", ".midi", ".mxl", ".musicxml", ".xml", ".abc"];
+
+function parseArgs(argv) {
+  const args = { positional: [], layout: null };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--layout") args.layout = argv[++i];
+    else if (argv[i] === "--help" || argv[i] === "-h") args.help = true;
+    else args.positional.push(argv[i]);
+  }
+  return args;
+}
+
+// One output name per input; song.mid and song.mxl become song and song-2
+function outputBases(files) {
+  const used = new Set();
+  return files.map(file => {
+    const stem = path.basename(file, path.extname(file)) || "score";
+    let base = stem;
+    for (let n = 2; used.has(base.toLowerCase()); n++) base = `${stem}-${n}`;
+    used.add(base.toLowerCase());
+    return { file, base };
+  });
+}
+
+async function convertFile(file, outDir, base, layout) {
+  const data = fs.readFileSync(file);
+  const arrayBuf = data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  const result = await EasyKeyCore.bufferToEKJ(path.basename(file), arrayBuf);
+  if (layout) result.ekj.layout.mode = layout;
+  fs.writeFileSync(path.join(outDir, `${base}.ekj.json`), JSON.stringify(result.ekj, null, 2));
+  const svg = EasyKeyCore.toStandaloneSvg(EasyKeyCore.buildEKJSvg(result.ekj));
+  fs.writeFileSync(path.join(outDir, `${base}.svg`), `<?xml version="1.0" encoding="UTF-8"?>\n${svg}\n`);
+  return result.kind;
+}
+
+async function main(argv) {
+  const args = parseArgs(argv);
+  const [inDir, outDirArg] = args.positional;
+  if (args.help || !inDir) {
+    console.log("Usage: node scripts/easykey-convert.js <input-folder> [output-folder] [--layout classic|pianoroll|falling]");
+    return args.help ? 0 : 2;
+  }
+  if (args.layout && !EasyKeyCore.LAYOUT_MODES.includes(args.layout)) {
+    console.error(`Unknown layout "${args.layout}"; use one of ${EasyKeyCore.LAYOUT_MODES.join(", ")}`);
+    return 2;
+  }
+  const outDir = outDirArg || inDir;
+  fs.mkdirSync(outDir, { recursive: true });
+  const files = fs.readdirSync(inDir)
+    .filter(name => INPUT_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort()
+    .map(name => path.join(inDir, name));
+  if (!files.length) {
+    console.error(`No .mid/.midi/.mxl/.musicxml/.xml/.abc files in ${inDir}`);
+    return 1;
+  }
+
+  let failed = 0;
+  for (const { file, base } of outputBases(files)) {
+    try {
+      const kind = await convertFile(file, outDir, base, args.layout);
+      console.log(`ok    ${path.basename(file)} (${kind}) -> ${base}.svg, ${base}.ekj.json`);
+    } catch (err) {
+      failed++;
+      const detail = err instanceof EasyKeyCore.EKJValidationError
+        ? err.errors.map(e => `${e.path}: ${e.message}`).join("; ")
+        : (err && err.message) || String(err);
+      console.error(`error ${path.basename(file)}: ${detail}`);
+    }
+  }
+  console.log(`${files.length - failed} of ${files.length} file(s) converted into ${outDir}`);
+  return failed ? 1 : 0;
+}
+
+main(process.argv.slice(2)).then(code => { process.exitCode = code; });
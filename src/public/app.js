@@ -1,342 +1,1269 @@
 
 // EasyKey Music Converter (Browser-only)
-// Supports: MIDI (.mid, .midi), MusicXML (.musicxml, .xml), Compressed MusicXML (.mxl)
-// Render: Classic EasyKey (per-semitone columns, black-key shading, diamond envelope, 16th clock-hands)
+// Supports: MIDI (.mid, .midi), MusicXML (.musicxml, .xml), Compressed MusicXML (.mxl), ABC (.abc or pasted),
+//           EasyKey JSON (.ekj.json)
+// Render: Classic EasyKey (per-semitone columns, black-key shading, diamond envelope, clock-hands for 16ths,
+//         triplets, sextuplets and 32nds with a legend)
+// Layouts: classic, horizontal piano roll or falling notes onto a keyboard (layout.mode)
+// Large scores: only the rows around the viewport are drawn; downloads still get the full SVG
+// Timing: full tempo map and meter map (metadata.tempo_map / metadata.meter_map)
+// Playback: Web Audio synth with a playhead that follows the grid
+// Editing: add, move, resize, delete and re-track notes with undo/redo
+// Library: every imported file stays in the session; download all as one ZIP
+// Annotations: sustain pedal, dynamics and section markers from MIDI and MusicXML, drawn beside the grid
+// Velocity: optional size/fill/outline scaling of notes and hairpins from velocity trends
+// Navigation: measure numbers, beat ruler and chord symbols (MusicXML <harmony> or detected from the notes)
+// Pages: Letter/A4 page layout broken at barlines, exported as a multi-page PDF
+// Quantise: grid, strength, swing/triplet detection and minimum length for performed MIDI, with before/after
+// MIDI: tracks split per channel/program and named after General MIDI instruments; channel 10 in a drum lane
+// Key: from MusicXML/ABC or estimated from the notes; optional in-scale column tint with the tonic marked
+// Hands: notes assigned to left/right hand (staves, track names or a split point), coloured or shown one hand at a time
+// Importers, exporters, schema and renderers live in easykey-core.js (shared with the Node CLI); this file is the page.
+// Imports run in easykey-worker.js with progress and cancel, falling back to the main thread.
+
+const {
+  tempoMapOf, measureLines, EKJValidationError, EKJImportError, KEYBOARD_RANGES, midiToNoteName,
+  HAND_COLORS, HAND_NAMES, handSplitOf, assignHands, formatKey, subdivisionName, subdivisionsUsed, buildSubdivisionKeySvg, applyPitchSettings, trackPitch, trackColor, addEnvelopesAndSubcells, EK_CELL_H, ekjTotalCells, ekjScoreWidth,
+  ekjGeometry, buildEKJSvg, bufferToEKJ, quantizeTracks, ekjToMidiArray, ekjToMusicXml
+} = EasyKeyCore;
 
 const fileInput = document.getElementById('fileInput');
 const drop = document.getElementById('drop');
 const statusEl = document.getElementById('status');
+const importBar = document.getElementById('importBar');
+const importProgress = document.getElementById('importProgress');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+const abcText = document.getElementById('abcText');
+const importAbcBtn = document.getElementById('importAbcBtn');
 const svgWrap = document.getElementById('svgWrap');
 const downloadSvgBtn = document.getElementById('downloadSvgBtn');
 const downloadJsonBtn = document.getElementById('downloadJsonBtn');
+const downloadMidiBtn = document.getElementById('downloadMidiBtn');
+const downloadXmlBtn = document.getElementById('downloadXmlBtn');
+const downloadMxlBtn = document.getElementById('downloadMxlBtn');
 const clearBtn = document.getElementById('clearBtn');
+const playBtn = document.getElementById('playBtn');
+const seekBar = document.getElementById('seekBar');
+const timeLabel = document.getElementById('timeLabel');
+const loopToggle = document.getElementById('loopToggle');
+const loopFrom = document.getElementById('loopFrom');
+const loopTo = document.getElementById('loopTo');
+const editToggle = document.getElementById('editToggle');
+const editTrack = document.getElementById('editTrack');
+const deleteNoteBtn = document.getElementById('deleteNoteBtn');
+const undoBtn = document.getElementById('undoBtn');
+const redoBtn = document.getElementById('redoBtn');
+const libraryEl = document.getElementById('library');
+const downloadAllBtn = document.getElementById('downloadAllBtn');
+const pagesWrap = document.getElementById('pagesWrap');
+const pageViewToggle = document.getElementById('pageViewToggle');
+const paperSelect = document.getElementById('paperSelect');
+const orientationSelect = document.getElementById('orientationSelect');
+const downloadPdfBtn = document.getElementById('downloadPdfBtn');
+const legendEl = document.getElementById('legend');
+const transposeDownBtn = document.getElementById('transposeDownBtn');
+const transposeUpBtn = document.getElementById('transposeUpBtn');
+const transposeValue = document.getElementById('transposeValue');
+const fitSelect = document.getElementById('fitSelect');
+const velocitySelect = document.getElementById('velocitySelect');
+const wedgeToggle = document.getElementById('wedgeToggle');
+const chordToggle = document.getElementById('chordToggle');
+const scaleToggle = document.getElementById('scaleToggle');
+const keyLabel = document.getElementById('keyLabel');
+const layoutSelect = document.getElementById('layoutSelect');
+const handSelect = document.getElementById('handSelect');
+const handSplit = document.getElementById('handSplit');
+const handSplitName = document.getElementById('handSplitName');
+const downloadHandBtn = document.getElementById('downloadHandBtn');
+const quantizeGrid = document.getElementById('quantizeGrid');
+const quantizeStrength = document.getElementById('quantizeStrength');
+const quantizeSwing = document.getElementById('quantizeSwing');
+const quantizeTriplets = document.getElementById('quantizeTriplets');
+const quantizeMinLength = document.getElementById('quantizeMinLength');
+const quantizePreviewToggle = document.getElementById('quantizePreviewToggle');
+const quantizeApplyBtn = document.getElementById('quantizeApplyBtn');
+const quantizePreviewEl = document.getElementById('quantizePreview');
 
 let lastSVG = null;
 let lastEKJ = null;
+let lastGeometry = null;
 
 function setStatus(msg) { statusEl.textContent = msg; }
-function isBlackKey(midi) { return [1,3,6,8,10].includes(midi % 12); }
-function midiToNoteName(midi) {
-  const names = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
-  const n = names[midi%12]; const oct = Math.floor(midi/12) - 1; return n + oct;
-}
-
-function enableDownloads() { downloadSvgBtn.disabled = !lastSVG; downloadJsonBtn.disabled = !lastEKJ; }
-clearBtn.addEventListener('click', () => { svgWrap.innerHTML = ""; lastSVG = null; lastEKJ = null; setStatus("Cleared."); enableDownloads(); });
-
-// ---------- MIDI Path ----------
-function detectCellPerQuarterFromMIDI(midi) {
-  const ppq = midi.header.ppq || 480;
-  const durs = [];
-  midi.tracks.forEach(t => t.notes.forEach(n => durs.push(n.durationTicks || 0)));
-  const minDur = durs.length ? Math.max(1, Math.min(...durs)) : ppq/4;
-  return (minDur < ppq/4) ? 2 : 1; // use 32nd grid if necessary
-}
-
-function midiArrayBufferToEKJ(arrayBuf) {
-  const midi = new Midi(arrayBuf);
-  const ppq = midi.header.ppq || 480;
-  const tempo = (midi.header.tempos[0] && midi.header.tempos[0].bpm) || 120;
-  const ts = midi.header.timeSignatures[0] || [4,4];
-  const [num, den] = ts;
-
-  const cellPerQuarter = detectCellPerQuarterFromMIDI(midi);
-  const tickToCells = (ticks)=> (ticks/ppq) * cellPerQuarter;
-
-  let minPitch = 127, maxPitch = 0;
-  midi.tracks.forEach(t=> t.notes.forEach(n=>{ minPitch = Math.min(minPitch, n.midi); maxPitch = Math.max(maxPitch, n.midi); }));
-  if (minPitch>maxPitch) { minPitch=60; maxPitch=72; }
-
-  const columns = [];
-  for (let p=minPitch; p<=maxPitch; p++) columns.push({ midi:p, label:midiToNoteName(p), shade:isBlackKey(p) });
-
-  const tracks = midi.tracks.map(t => ({
-    name: t.name || "Track",
-    color: "#888",
-    events: t.notes.map(n => ({
-      type: "note",
-      pitch: n.midi,
-      start: (n.ticks/ppq) * cellPerQuarter,
-      dur: ((n.durationTicks || Math.round(n.duration*ppq))/ppq) * cellPerQuarter,
-      vel: Math.round((n.velocity||0.7)*127)
-    }))
-  }));
-
-  const ekj = {
-    metadata: { title: "MIDI Import", composer: "", tempo_bpm: tempo, time_signature: [num,den], ppq, transpose_semitones: 0 },
-    layout: { mode:"classic", pitch_min:minPitch, pitch_max:maxPitch, cell_per_quarter:cellPerQuarter, columns },
-    tracks, annotations: { pedal:[], markers:[], dynamics:[] }
+function enableDownloads() {
+  downloadSvgBtn.disabled = !lastSVG;
+  [downloadJsonBtn, downloadMidiBtn, downloadXmlBtn, downloadMxlBtn, downloadPdfBtn].forEach(btn => { btn.disabled = !lastEKJ; });
+  [quantizeGrid, quantizeStrength, quantizeSwing, quantizeTriplets, quantizeMinLength, quantizePreviewToggle, quantizeApplyBtn].forEach(el => { el.disabled = !lastEKJ; });
+  [handSelect, handSplit].forEach(el => { el.disabled = !lastEKJ; });
+  downloadHandBtn.disabled = !lastEKJ || !HAND_NAMES[handView.mode];
+}
+clearBtn.addEventListener('click', () => {
+  importJob.queue.length = 0;
+  library.length = 0;
+  if (importJob.cancel) importJob.cancel();
+  clearView();
+  renderLibrary();
+  setStatus("Cleared.");
+});
+
+// ---------- Transposition Controls ----------
+function syncPitchControls(ekj) {
+  transposeValue.textContent = ekj ? formatSemitones(ekj.metadata.transpose_semitones || 0) : "0";
+  const fit = ekj && ekj.metadata.fit_range;
+  const key = fit ? Object.keys(KEYBOARD_RANGES).find(k => KEYBOARD_RANGES[k][0] === fit.low && KEYBOARD_RANGES[k][1] === fit.high) : "";
+  fitSelect.value = key || "";
+  [transposeDownBtn, transposeUpBtn, fitSelect].forEach(el => { el.disabled = !ekj; });
+}
+
+function formatSemitones(n) { return n > 0 ? `+${n}` : String(n); }
+
+function changePitchSettings(transpose, fitKey) {
+  if (!lastEKJ) return;
+  applyPitchSettings(lastEKJ, Math.max(-24, Math.min(24, transpose)), fitKey);
+  rerenderTracks(lastEKJ);
+  setStatus(`Transpose ${formatSemitones(lastEKJ.metadata.transpose_semitones)} semitones` + (fitKey ? ` • fitted to ${fitKey} keys` : ""));
+}
+
+transposeDownBtn.addEventListener('click', () => changePitchSettings((lastEKJ.metadata.transpose_semitones || 0) - 1, fitSelect.value));
+transposeUpBtn.addEventListener('click', () => changePitchSettings((lastEKJ.metadata.transpose_semitones || 0) + 1, fitSelect.value));
+fitSelect.addEventListener('change', () => changePitchSettings(lastEKJ.metadata.transpose_semitones || 0, fitSelect.value));
+
+// ---------- Track Colours & Visibility ----------
+// Show/hide and solo are view state, kept per track object so they never leak into exported EKJ
+const trackView = new WeakMap();
+function trackViewOf(tr) {
+  if (!trackView.has(tr)) trackView.set(tr, { hidden: false, solo: false });
+  return trackView.get(tr);
+}
+function trackIsShown(ekj, ti) {
+  const anySolo = ekj.tracks.some(tr => trackViewOf(tr).solo);
+  const view = trackViewOf(ekj.tracks[ti]);
+  return anySolo ? view.solo : !view.hidden;
+}
+
+// <input type="color"> only accepts #rrggbb
+function toHexColor(color) {
+  const short = /^#([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(color || "");
+  if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase();
+  return /^#[0-9a-f]{6}$/i.test(color || "") ? color.toLowerCase() : "#888888";
+}
+
+function renderLegend(ekj) {
+  legendEl.innerHTML = "";
+  if (!ekj) return;
+  ekj.tracks.forEach((tr, ti) => {
+    const view = trackViewOf(tr);
+    const item = document.createElement("div");
+    item.className = "legend-item" + (trackIsShown(ekj, ti) ? "" : " muted");
+    const swatch = document.createElement("input");
+    swatch.type = "color";
+    swatch.value = toHexColor(tr.color || trackColor(ti));
+    swatch.title = "Track colour";
+    swatch.addEventListener('change', () => { tr.color = swatch.value; rerenderTracks(ekj); });
+    const show = document.createElement("input");
+    show.type = "checkbox";
+    show.checked = !view.hidden;
+    show.title = "Show/hide";
+    show.addEventListener('change', () => { view.hidden = !show.checked; rerenderTracks(ekj); });
+    const name = document.createElement("span");
+    name.textContent = tr.name || `Track ${ti+1}`;
+    // General MIDI instrument and channel from a MIDI import
+    if (tr.instrument || tr.channel) name.title = [tr.instrument, tr.channel && `channel ${tr.channel}`].filter(Boolean).join(", ");
+    const solo = document.createElement("button");
+    solo.textContent = "Solo";
+    solo.className = view.solo ? "solo on" : "solo";
+    solo.addEventListener('click', () => { view.solo = !view.solo; rerenderTracks(ekj); });
+    item.append(swatch, show, name, solo);
+    legendEl.appendChild(item);
+  });
+  // Clock-hand key for the subdivisions this score uses (drawn in the classic layout only)
+  if (lastGeometry && lastGeometry.mode === "classic") subdivisionsUsed(ekj).forEach(subdiv => {
+    const item = document.createElement("div");
+    item.className = "legend-item subdiv-key";
+    const label = document.createElement("span");
+    label.textContent = subdivisionName(subdiv, ekj.layout.cell_per_quarter || 1);
+    item.append(svgNodeToElement(buildSubdivisionKeySvg(subdiv)), label);
+    legendEl.appendChild(item);
+  });
+  // Hand key when notes are coloured by hand (left-hand notes are squares)
+  if (handView.mode === "off") return;
+  Object.keys(HAND_NAMES).filter(hand => handView.mode === "both" || handView.mode === hand).forEach(hand => {
+    const item = document.createElement("div");
+    item.className = "legend-item hand-key";
+    const chip = document.createElement("span");
+    chip.className = "hand-chip" + (hand === "L" ? " square" : "");
+    chip.style.background = HAND_COLORS[hand];
+    const label = document.createElement("span");
+    label.textContent = HAND_NAMES[hand];
+    item.append(chip, label);
+    legendEl.appendChild(item);
+  });
+}
+
+function rerenderTracks(ekj) {
+  const { scrollTop, scrollLeft } = svgWrap;
+  renderEKJ(ekj);
+  svgWrap.scrollTop = scrollTop;
+  svgWrap.scrollLeft = scrollLeft;
+}
+
+// ---------- Velocity Display ----------
+// View option like track visibility: not stored in the EKJ, but used by every render and export
+const velocityView = { mode: "off", wedges: false };
+
+function changeVelocityView() {
+  velocityView.mode = velocitySelect.value;
+  velocityView.wedges = wedgeToggle.checked;
+  if (lastEKJ) rerenderTracks(lastEKJ);
+}
+velocitySelect.addEventListener('change', changeVelocityView);
+wedgeToggle.addEventListener('change', changeVelocityView);
+
+// ---------- Chord Symbols ----------
+const chordView = { show: false };
+
+chordToggle.addEventListener('change', () => {
+  chordView.show = chordToggle.checked;
+  if (lastEKJ) rerenderTracks(lastEKJ);
+});
+
+// ---------- Key & Scale ----------
+const scaleView = { show: false };
+
+// The key as it sounds (after transposition); estimated keys say so
+function syncKeyLabel(ekj) {
+  const key = ekj && ekj.metadata.key;
+  keyLabel.textContent = key ? formatKey(key, ekj.metadata.transpose_semitones || 0) + (key.source === "detected" ? " (estimated)" : "") : "";
+  keyLabel.title = key && key.source === "detected" ? `Estimated from the notes (fit ${key.confidence})` : "";
+}
+
+scaleToggle.addEventListener('change', () => {
+  scaleView.show = scaleToggle.checked;
+  if (lastEKJ) rerenderTracks(lastEKJ);
+});
+
+// ---------- Hands ----------
+// "off", "both" (colour by hand) or one hand ("R"/"L"); the split point is stored in layout.hand_split
+const handView = { mode: "off" };
+
+function syncHandControls(ekj) {
+  const split = ekj ? handSplitOf(ekj) : 60;
+  handSplit.value = String(split);
+  handSplitName.textContent = midiToNoteName(split);
+}
+
+handSelect.addEventListener('change', () => {
+  handView.mode = handSelect.value;
+  if (lastEKJ) rerenderTracks(lastEKJ);
+  else enableDownloads();
+});
+
+handSplit.addEventListener('change', () => {
+  if (!lastEKJ) return;
+  const split = Math.round(Number(handSplit.value));
+  if (!Number.isFinite(split)) { syncHandControls(lastEKJ); return; }
+  lastEKJ.layout.hand_split = Math.max(0, Math.min(127, split));
+  assignHands(lastEKJ);
+  rerenderTracks(lastEKJ);
+  setStatus(`Hand split at ${midiToNoteName(lastEKJ.layout.hand_split)}`);
+});
+
+// Practice sheet for the selected hand: the full score with only that hand's notes
+function downloadHandSVG() {
+  if (!lastEKJ || !HAND_NAMES[handView.mode]) return;
+  const file = handView.mode === "R" ? "easykey-right-hand.svg" : "easykey-left-hand.svg";
+  downloadBlob(new Blob([serializeSVG(buildSvgElement(lastEKJ))], {type: "image/svg+xml"}), file);
+}
+downloadHandBtn.addEventListener('click', downloadHandSVG);
+
+// ---------- Score View ----------
+// View state handed to the core renderer
+function currentView(ekj) {
+  return { velocity: velocityView.mode, wedges: velocityView.wedges, chords: chordView.show, hands: handView.mode, scale: scaleView.show,
+    trackShown: (ti) => trackIsShown(ekj, ti) };
+}
+
+// Core SVG trees become live elements for playback, editing and page layout
+function svgNodeToElement(node) {
+  const doc = new DOMParser().parseFromString(String(node), "image/svg+xml");
+  return document.importNode(doc.documentElement, true);
+}
+function buildSvgElement(ekj, opts = {}) {
+  return svgNodeToElement(buildEKJSvg(ekj, Object.assign({ view: currentView(ekj) }, opts)));
+}
+
+function renderEKJ(ekj) {
+  lastGeometry = ekjGeometry(ekj, currentView(ekj));
+  virtualView.on = needsVirtualView(ekj);
+  const svg = buildSvgElement(ekj, virtualWindowOpts());
+  svgWrap.innerHTML = "";
+  svgWrap.appendChild(svg);
+  lastSVG = svg;
+  lastEKJ = ekj;
+  layoutSelect.value = lastGeometry.mode;
+  enableDownloads();
+  loadPlayback(ekj, svg, ekjTotalCells(ekj));
+  if (ekj !== editor.ekj) resetEditor(ekj);
+  renderLegend(ekj);
+  syncPitchControls(ekj);
+  syncHandControls(ekj);
+  syncKeyLabel(ekj);
+  if (pageViewToggle.checked) showPagePreview();
+  if (quantizePreviewToggle.checked) showQuantizePreview();
+}
+
+// ---------- Virtualised View ----------
+// Large scores only draw the rows around the viewport (the SVG keeps its full size, so scrolling and
+// seeking are unchanged); scrolling near the edge of the drawn window redraws it. Downloads, page layout
+// and the ZIP export still build the full SVG.
+const VIRTUAL_MIN_CELLS = 600;
+const VIRTUAL_MIN_NOTES = 2000;
+const VIRTUAL_MIN_SPAN = 40; // cells drawn on each side of the viewport at least
+const virtualView = { on: false, from: 0, to: 0, frame: null };
+
+function needsVirtualView(ekj) {
+  const notes = ekj.tracks.reduce((n, tr) => n + tr.events.length, 0);
+  return ekjTotalCells(ekj) > VIRTUAL_MIN_CELLS || notes > VIRTUAL_MIN_NOTES;
+}
+
+// Range of cells currently scrolled into svgWrap
+function visibleCells() {
+  const a = lastGeometry.toGrid(svgWrap.scrollLeft, svgWrap.scrollTop);
+  const b = lastGeometry.toGrid(svgWrap.scrollLeft + svgWrap.clientWidth, svgWrap.scrollTop + svgWrap.clientHeight);
+  return { from: Math.min(a.cell, b.cell), to: Math.max(a.cell, b.cell) };
+}
+
+// Render options for the current window: the visible cells plus a viewport's worth either side
+function virtualWindowOpts() {
+  if (!virtualView.on) return {};
+  const vis = visibleCells();
+  const margin = Math.max(VIRTUAL_MIN_SPAN, vis.to - vis.from);
+  virtualView.from = Math.max(0, Math.floor(vis.from - margin));
+  virtualView.to = Math.ceil(vis.to + margin);
+  return { window: { from: virtualView.from, to: virtualView.to } };
+}
+
+// Swaps in a freshly drawn window and re-attaches playback highlights, playhead and selection to it
+function redrawVirtualWindow() {
+  const svg = buildSvgElement(lastEKJ, virtualWindowOpts());
+  svgWrap.replaceChild(svg, lastSVG);
+  lastSVG = svg;
+  playback.svg = svg;
+  playback.highlights = noteHighlights(svg);
+  resetHighlights();
+  updatePlayhead(playback.cell);
+  if (editor.selected) {
+    const el = svg.querySelector(`.ek-note[data-track="${editor.selected.track}"][data-index="${editor.selected.index}"]`);
+    if (el) el.classList.add("selected");
+  }
+}
+
+svgWrap.addEventListener('scroll', () => {
+  if (!virtualView.on || virtualView.frame) return;
+  virtualView.frame = requestAnimationFrame(() => {
+    virtualView.frame = null;
+    if (!virtualView.on || !lastSVG || editor.drag) return;
+    const vis = visibleCells();
+    if (vis.from < virtualView.from || vis.to > virtualView.to) redrawVirtualWindow();
+  });
+}, { passive: true });
+
+layoutSelect.addEventListener('change', () => {
+  if (!lastEKJ) return;
+  lastEKJ.layout.mode = layoutSelect.value;
+  svgWrap.scrollTop = 0;
+  svgWrap.scrollLeft = 0;
+  renderEKJ(lastEKJ);
+  // Falling notes start at the keyboard
+  if (layoutSelect.value === "falling") svgWrap.scrollTop = svgWrap.scrollHeight;
+});
+
+// Compressed MusicXML: uncompressed mimetype entry first, then the container pointing at the score
+async function ekjToMxlBlob(ekj) {
+  const zip = new JSZip();
+  zip.file("mimetype", "application/vnd.recordare.musicxml", { compression: "STORE" });
+  zip.file("META-INF/container.xml", '<?xml version="1.0" encoding="UTF-8"?>\n<container><rootfiles><rootfile full-path="score.musicxml" media-type="application/vnd.recordare.musicxml+xml"/></rootfiles></container>\n');
+  zip.file("score.musicxml", ekjToMusicXml(ekj));
+  return zip.generateAsync({ type: "blob", mimeType: "application/vnd.recordare.musicxml", compression: "DEFLATE" });
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a"); a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
+// Serializes a rendered SVG without the playhead or playback/selection highlights
+function serializeSVG(svg) {
+  const clone = svg.cloneNode(true);
+  clone.querySelectorAll(".ek-playhead").forEach(el => el.remove());
+  clone.querySelectorAll(".ek-note.playing, .ek-note.selected").forEach(el => el.classList.remove("playing", "selected"));
+  return new XMLSerializer().serializeToString(clone);
+}
+
+// Always the full score, also when the view only draws a window of it
+function downloadSVG() {
+  if (!lastEKJ) return;
+  downloadBlob(new Blob([serializeSVG(buildSvgElement(lastEKJ))], {type: "image/svg+xml"}), "easykey-render.svg");
+}
+function downloadJSON() {
+  if (!lastEKJ) return;
+  downloadBlob(new Blob([JSON.stringify(lastEKJ, null, 2)], {type: "application/json"}), "easykey-score.ekj.json");
+}
+function downloadMIDI() {
+  if (!lastEKJ) return;
+  downloadBlob(new Blob([ekjToMidiArray(lastEKJ)], {type: "audio/midi"}), "easykey-score.mid");
+}
+function downloadMusicXML() {
+  if (!lastEKJ) return;
+  downloadBlob(new Blob([ekjToMusicXml(lastEKJ)], {type: "application/vnd.recordare.musicxml+xml"}), "easykey-score.musicxml");
+}
+async function downloadMXL() {
+  if (!lastEKJ) return;
+  downloadBlob(await ekjToMxlBlob(lastEKJ), "easykey-score.mxl");
+}
+downloadSvgBtn.addEventListener('click', downloadSVG);
+downloadJsonBtn.addEventListener('click', downloadJSON);
+downloadMidiBtn.addEventListener('click', downloadMIDI);
+downloadXmlBtn.addEventListener('click', downloadMusicXML);
+downloadMxlBtn.addEventListener('click', downloadMXL);
+
+// ---------- Page Layout & PDF ----------
+// Pages break at barlines, repeat the column header and carry title, composer, measure and page numbers.
+const PAGE_SIZES = { letter: [612, 792], a4: [595.28, 841.89] }; // PDF points
+const PAGE_MARGIN = 36;
+const PAGE_HEADER = 44;
+const PAGE_FOOTER = 18;
+
+function pageDimensions(paper, orientation) {
+  const [w, h] = PAGE_SIZES[paper] || PAGE_SIZES.letter;
+  return orientation === "landscape" ? [h, w] : [w, h];
+}
+
+// Splits [0, totalCells) into page ranges ending on barlines; a measure taller than a page is cut inside
+function pageBreaks(ekj, rowsPerPage) {
+  const total = ekjTotalCells(ekj);
+  const bounds = measureLines(ekj, total).map(b => b.cell).filter(c => c > 0 && c < total).concat([total]);
+  const pages = [];
+  let from = 0;
+  while (from < total - 1e-6) {
+    const fits = bounds.filter(b => b > from + 1e-6 && b - from <= rowsPerPage + 1e-6);
+    const to = fits.length ? fits[fits.length-1] : Math.min(total, from + rowsPerPage);
+    pages.push({ from, to });
+    from = to;
+  }
+  if (!pages.length) pages.push({ from: 0, to: 0 });
+  return pages;
+}
+
+// Replaces var(--x) in presentation attributes with the page's computed colours (for PDF and standalone use)
+function resolveCssVars(root) {
+  const style = getComputedStyle(document.documentElement);
+  root.querySelectorAll("[fill],[stroke]").forEach(el => {
+    ["fill", "stroke"].forEach(attr => {
+      const v = el.getAttribute(attr);
+      const m = v && v.match(/^var\((--[\w-]+)\)$/);
+      if (m) el.setAttribute(attr, style.getPropertyValue(m[1]).trim() || "#888");
+    });
+  });
+}
+
+function buildPageSVGs(ekj, paper, orientation) {
+  const svgNS = "http://www.w3.org/2000/svg";
+  const [pageW, pageH] = pageDimensions(paper, orientation);
+  const scoreW = ekjScoreWidth(ekj, currentView(ekj));
+  const scale = Math.min(1, (pageW - 2*PAGE_MARGIN) / scoreW);
+  const bodyH = pageH - 2*PAGE_MARGIN - PAGE_HEADER - PAGE_FOOTER;
+  const rowsPerPage = Math.max(1, Math.floor((bodyH / scale - 60) / EK_CELL_H));
+  const ranges = pageBreaks(ekj, rowsPerPage);
+  const title = ekj.metadata.title || "EasyKey Score";
+  const composer = ekj.metadata.composer || "";
+
+  const text = (parent, str, x, y, size, anchor, color, weight) => {
+    const t = document.createElementNS(svgNS, "text");
+    t.setAttribute("x", x); t.setAttribute("y", y);
+    t.setAttribute("text-anchor", anchor); t.setAttribute("font-size", size);
+    t.setAttribute("fill", color);
+    if (weight) t.setAttribute("font-weight", weight);
+    t.textContent = str;
+    parent.appendChild(t);
   };
-  addEnvelopesAndSubcells(ekj);
-  return ekj;
-}
-
-// ---------- MusicXML / MXL Path ----------
-async function musicXmlTextToEKJ(xmlText, name="MusicXML Import") {
-  const parser = new DOMParser();
-  const doc = parser.parseFromString(xmlText, "application/xml");
-
-  // Time signature
-  let num = 4, den = 4;
-  const beats = doc.querySelector("attributes time beats");
-  const beatType = doc.querySelector("attributes time beat-type");
-  if (beats && beatType) { num = parseInt(beats.textContent||"4",10); den = parseInt(beatType.textContent||"4",10); }
-
-  // Divisions
-  let divisions = 480;
-  const divNode = doc.querySelector("attributes divisions");
-  if (divNode) divisions = parseInt(divNode.textContent||"480",10);
-
-  // Tempo
-  let tempo = 120;
-  const sound = doc.querySelector("sound[tempo]");
-  if (sound) tempo = parseFloat(sound.getAttribute("tempo"));
-
-  const parts = Array.from(doc.querySelectorAll("part"));
-  const tracks = [];
-  let globalMin = 127, globalMax = 0;
-  let needs32nd = false;
-  let maxEndCells = 0;
-
-  for (const part of parts) {
-    let timeCells = 0;
-    const events = [];
-    const measures = Array.from(part.querySelectorAll("measure"));
-    const tieOpen = new Map();
-
-    for (const meas of measures) {
-      const notes = Array.from(meas.querySelectorAll("note"));
-      for (const n of notes) {
-        const isRest = !!n.querySelector("rest");
-        let pitchMidi = null;
-        if (!isRest) {
-          const step = n.querySelector("pitch step")?.textContent || "C";
-          const alter = parseInt(n.querySelector("pitch alter")?.textContent || "0", 10);
-          const octave = parseInt(n.querySelector("pitch octave")?.textContent || "4", 10);
-          const stepMap = {C:0,D:2,E:4,F:5,G:7,A:9,B:11};
-          pitchMidi = (octave + 1)*12 + stepMap[step] + alter;
-          globalMin = Math.min(globalMin, pitchMidi);
-          globalMax = Math.max(globalMax, pitchMidi);
-        }
-
-        const durDiv = parseInt(n.querySelector("duration")?.textContent || "0", 10);
-        if (durDiv > 0 && durDiv < divisions/4) needs32nd = true;
-        const durCells = durDiv / divisions;
-        const isChordTone = !!n.querySelector("chord");
-        const start = timeCells;
-        if (!isChordTone) timeCells += durCells;
-
-        if (isRest) continue;
-
-        const ev = { type:"note", pitch:pitchMidi, start, dur:durCells, vel:96 };
-        const tieStart = n.querySelector("tie[start]") || n.querySelector('tie[type="start"]');
-        const tieStop  = n.querySelector("tie[stop]")  || n.querySelector('tie[type="stop"]');
-        const pKey = String(pitchMidi);
-        if (tieStart) tieOpen.set(pKey, ev);
-        if (tieStop && tieOpen.has(pKey)) {
-          const first = tieOpen.get(pKey);
-          first.dur += ev.dur;
-          // mark merged (renderer already shows only first/last diamonds by duration)
-          tieOpen.delete(pKey);
-        }
-        events.push(ev);
-        maxEndCells = Math.max(maxEndCells, start + durCells);
-      }
+
+  return ranges.map((range, pi) => {
+    const page = document.createElementNS(svgNS, "svg");
+    page.setAttribute("xmlns", svgNS);
+    page.setAttribute("width", String(pageW));
+    page.setAttribute("height", String(pageH));
+    page.setAttribute("viewBox", `0 0 ${pageW} ${pageH}`);
+    page.setAttribute("font-family", "Helvetica, Arial, sans-serif");
+    const bg = document.createElementNS(svgNS, "rect");
+    bg.setAttribute("width", pageW); bg.setAttribute("height", pageH); bg.setAttribute("fill", "#0b0d10");
+    page.appendChild(bg);
+
+    if (pi === 0) {
+      text(page, title, pageW/2, PAGE_MARGIN + 16, 18, "middle", "#f3f6fa", "bold");
+      if (composer) text(page, composer, pageW - PAGE_MARGIN, PAGE_MARGIN + 34, 11, "end", "#b9c1cc");
+    } else {
+      text(page, title, PAGE_MARGIN, PAGE_MARGIN + 10, 10, "start", "#b9c1cc");
     }
+    text(page, `Page ${pi+1} of ${ranges.length}`, pageW/2, pageH - PAGE_MARGIN + 4, 9, "middle", "#b9c1cc");
+
+    // Score slice, scaled to the printable width; moving its children keeps defs/clip paths intact
+    const slice = buildSvgElement(ekj, { fromCell: range.from, toCell: range.to, mode: "classic" });
+    const g = document.createElementNS(svgNS, "g");
+    const offsetX = PAGE_MARGIN + ((pageW - 2*PAGE_MARGIN) - scoreW*scale) / 2;
+    g.setAttribute("transform", `translate(${offsetX},${PAGE_MARGIN + PAGE_HEADER}) scale(${scale})`);
+    Array.from(slice.childNodes).forEach(n => { if (!(n.classList && n.classList.contains("ek-playhead"))) g.appendChild(n); });
+
+    page.appendChild(g);
+    resolveCssVars(page);
+    return page;
+  });
+}
 
-    tracks.push({ name: part.getAttribute("id") || "Part", color:"#888", events });
+function showPagePreview() {
+  pagesWrap.innerHTML = "";
+  if (!lastEKJ || !pageViewToggle.checked) {
+    pagesWrap.hidden = true;
+    svgWrap.hidden = false;
+    return;
   }
+  buildPageSVGs(lastEKJ, paperSelect.value, orientationSelect.value).forEach(page => pagesWrap.appendChild(page));
+  pagesWrap.hidden = false;
+  svgWrap.hidden = true;
+}
 
-  if (globalMin>globalMax) { globalMin=60; globalMax=72; }
-  const columns = [];
-  for (let p=globalMin; p<=globalMax; p++) columns.push({ midi:p, label:midiToNoteName(p), shade:isBlackKey(p) });
+// jsPDF + svg2pdf.js (loaded from CDN next to Midi/JSZip) turn each page SVG into a vector PDF page
+async function downloadPDF() {
+  if (!lastEKJ) return;
+  if (!window.jspdf || !window.jspdf.jsPDF || !window.jspdf.jsPDF.API.svg) {
+    setStatus("PDF export unavailable: jsPDF or svg2pdf.js did not load.");
+    return;
+  }
+  const paper = paperSelect.value;
+  const orientation = orientationSelect.value;
+  try {
+    const pages = buildPageSVGs(lastEKJ, paper, orientation);
+    const [pageW, pageH] = pageDimensions(paper, orientation);
+    const pdf = new window.jspdf.jsPDF({ unit: "pt", format: paper, orientation });
+    setStatus(`Building PDF (${pages.length} page${pages.length === 1 ? "" : "s"})…`);
+    for (let i=0; i<pages.length; i++) {
+      if (i > 0) pdf.addPage(paper, orientation);
+      // The standard PDF fonts have no quarter-note glyph
+      pages[i].querySelectorAll("text").forEach(t => { t.textContent = t.textContent.replace("\u2669=", "q="); });
+      await pdf.svg(pages[i], { x: 0, y: 0, width: pageW, height: pageH });
+    }
+    downloadBlob(pdf.output("blob"), "easykey-score.pdf");
+    setStatus(`PDF ready: ${pages.length} page${pages.length === 1 ? "" : "s"}.`);
+  } catch (err) {
+    console.error(err);
+    setStatus(`PDF export failed: ${err.message || err}`);
+  }
+}
 
-  const ekj = {
-    metadata: { title: name, composer:"", tempo_bpm: tempo, time_signature:[num,den], ppq: divisions, transpose_semitones: 0 },
-    layout: { mode:"classic", pitch_min:globalMin, pitch_max:globalMax, cell_per_quarter: needs32nd ? 2 : 1, columns },
-    tracks, annotations: { pedal:[], markers:[], dynamics:[] }
-  };
-  addEnvelopesAndSubcells(ekj);
-  return ekj;
+pageViewToggle.addEventListener('change', showPagePreview);
+paperSelect.addEventListener('change', showPagePreview);
+orientationSelect.addEventListener('change', showPagePreview);
+downloadPdfBtn.addEventListener('click', downloadPDF);
+
+// ---------- Playback ----------
+// Web Audio playback with a lookahead scheduler; the tempo map converts between cells and seconds.
+function cellToSeconds(ekj, cell) {
+  const cpq = ekj.layout.cell_per_quarter || 1;
+  const map = tempoMapOf(ekj);
+  let sec = 0;
+  for (let i=0; i<map.length; i++) {
+    const segEnd = (i+1 < map.length) ? Math.min(cell, map[i+1].cell) : cell;
+    if (segEnd > map[i].cell) sec += (segEnd - map[i].cell) * 60 / (map[i].bpm * cpq);
+    if (i+1 < map.length && map[i+1].cell >= cell) break;
+  }
+  return sec;
 }
 
-// ---------- Common Post-Process ----------
-function addEnvelopesAndSubcells(ekj) {
+function secondsToCell(ekj, sec) {
   const cpq = ekj.layout.cell_per_quarter || 1;
-  ekj.tracks.forEach(tr => {
+  const map = tempoMapOf(ekj);
+  let acc = 0;
+  for (let i=0; i<map.length; i++) {
+    const perCell = 60 / (map[i].bpm * cpq);
+    const segSec = (i+1 < map.length) ? (map[i+1].cell - map[i].cell) * perCell : Infinity;
+    if (sec <= acc + segSec) return map[i].cell + (sec - acc) / perCell;
+    acc += segSec;
+  }
+  return 0;
+}
+
+const playback = {
+  ekj: null, svg: null, ctx: null, master: null,
+  notes: [], highlights: [], totalCells: 0,
+  playing: false, cell: 0, anchorCtx: 0, anchorSec: 0,
+  nextNote: 0, hlNext: 0, hlActive: [], lastHighlightCell: -1, voices: new Set(), timer: null, frame: null
+};
+
+function loadPlayback(ekj, svg, totalCells) {
+  stopPlayback();
+  playback.ekj = ekj;
+  playback.svg = svg;
+  playback.totalCells = totalCells;
+  playback.notes = [];
+  ekj.tracks.forEach((tr, ti) => {
+    if (!trackIsShown(ekj, ti)) return;
     tr.events.forEach(ev => {
-      if (ev.type !== "note") return;
-      const startCell = Math.floor(ev.start * cpq) / cpq;
-      const endCell = Math.floor((ev.start + ev.dur - 1e-6) * cpq) / cpq;
-      ev._startCell = startCell;
-      ev._endCell = endCell;
-      ev.envelope = "diamond";
-      const frac = (ev.start % 1 + 1) % 1;
-      const slot = Math.min(3, Math.max(0, Math.round(frac * 4)));
-      ev.subcells = [slot];
+      if (ev.type !== "note" && ev.type !== "grace") return;
+      const startSec = cellToSeconds(ekj, ev.start);
+      const endSec = ev.type === "grace" ? startSec + 0.08 : cellToSeconds(ekj, ev.start + ev.dur);
+      playback.notes.push({ cell: ev.start, startSec, endSec, pitch: trackPitch(ekj, tr, ev.pitch), vel: ev.vel === undefined ? 96 : ev.vel, drum: !!tr.drums });
     });
   });
+  playback.notes.sort((a,b) => a.startSec - b.startSec);
+  playback.highlights = noteHighlights(svg);
+
+  playBtn.disabled = false;
+  seekBar.disabled = false;
+  seekBar.max = String(totalCells);
+  loopTo.value = String(measureLines(ekj, totalCells).length);
+  seekPlayback(0);
 }
 
-// ---------- Renderer (Classic) ----------
-function renderEKJ(ekj) {
-  const cols = ekj.layout.columns;
-  const [num, den] = ekj.metadata.time_signature || [4,4];
-  const quartersPerMeasure = num * (4/den);
+// Drawn notes ordered by start, for highlighting while they sound
+function noteHighlights(svg) {
+  return Array.from(svg.querySelectorAll(".ek-note")).map(el => ({
+    el, start: parseFloat(el.getAttribute("data-start")), end: parseFloat(el.getAttribute("data-end"))
+  })).sort((a,b) => a.start - b.start);
+}
 
-  const colW = 22;
-  const cellH = 26;
+function playNote(note, when) {
+  const ctx = playback.ctx;
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  // Drum hits are short square-wave clicks rather than sustained tones
+  osc.type = note.drum ? "square" : "triangle";
+  osc.frequency.value = 440 * Math.pow(2, (note.pitch - 69) / 12);
+  const peak = (note.drum ? 0.15 : 0.3) * (note.vel / 127);
+  const end = when + (note.drum ? 0.05 : Math.max(0.05, note.endSec - note.startSec));
+  gain.gain.setValueAtTime(0, when);
+  gain.gain.linearRampToValueAtTime(peak, when + 0.01);
+  gain.gain.setTargetAtTime(peak * 0.6, when + 0.01, 0.25);
+  gain.gain.setTargetAtTime(0, end, 0.04);
+  osc.connect(gain).connect(playback.master);
+  osc.start(when);
+  osc.stop(end + 0.3);
+  const voice = { osc, gain };
+  playback.voices.add(voice);
+  osc.onended = () => playback.voices.delete(voice);
+}
 
-  let maxCell = 0;
-  ekj.tracks.forEach(tr => tr.events.forEach(ev => { maxCell = Math.max(maxCell, ev.start + ev.dur); }));
-  const totalCells = Math.ceil(maxCell);
+function silenceVoices() {
+  if (!playback.ctx) return;
+  const now = playback.ctx.currentTime;
+  playback.voices.forEach(({ osc, gain }) => {
+    gain.gain.cancelScheduledValues(now);
+    gain.gain.setTargetAtTime(0, now, 0.01);
+    osc.stop(now + 0.05);
+  });
+  playback.voices.clear();
+}
 
-  const width = cols.length * colW + 80;
-  const height = totalCells * cellH + 60;
+function currentPlaybackSeconds() {
+  return playback.anchorSec + (playback.ctx.currentTime - playback.anchorCtx);
+}
 
-  const svgNS = "http://www.w3.org/2000/svg";
-  const svg = document.createElementNS(svgNS, "svg");
-  svg.setAttribute("width", String(width));
-  svg.setAttribute("height", String(height));
-  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
-  svg.style.background = "#0b0d10";
-
-  const gBG = document.createElementNS(svgNS, "g");
-  gBG.setAttribute("transform", "translate(60,20)");
-  svg.appendChild(gBG);
-
-  cols.forEach((c, i) => {
-    const x = i*colW;
-    const rect = document.createElementNS(svgNS, "rect");
-    rect.setAttribute("x", x); rect.setAttribute("y", 0);
-    rect.setAttribute("width", colW); rect.setAttribute("height", height-60);
-    rect.setAttribute("fill", c.shade ? "#0f1620" : "#0c1118");
-    gBG.appendChild(rect);
+function loopRange() {
+  const bars = measureLines(playback.ekj, playback.totalCells);
+  const from = Math.min(bars.length, Math.max(1, parseInt(loopFrom.value, 10) || 1));
+  const to = Math.min(bars.length, Math.max(from, parseInt(loopTo.value, 10) || bars.length));
+  const endCell = to < bars.length ? bars[to].cell : playback.totalCells;
+  return { start: bars[from-1].cell, end: endCell };
+}
 
-    const t = document.createElementNS(svgNS, "text");
-    t.setAttribute("x", x + colW/2); t.setAttribute("y", -4);
-    t.setAttribute("text-anchor", "middle");
-    t.setAttribute("fill", "#9fb0c3"); t.setAttribute("font-size", "10");
-    t.textContent = c.label;
-    gBG.appendChild(t);
+function schedulePlayback() {
+  const ahead = currentPlaybackSeconds() + 0.12;
+  while (playback.nextNote < playback.notes.length && playback.notes[playback.nextNote].startSec < ahead) {
+    const note = playback.notes[playback.nextNote++];
+    if (note.startSec >= playback.anchorSec - 1e-6) playNote(note, playback.anchorCtx + (note.startSec - playback.anchorSec));
+  }
+}
+
+function animatePlayback() {
+  if (!playback.playing) return;
+  const cell = secondsToCell(playback.ekj, currentPlaybackSeconds());
+  if (loopToggle.checked) {
+    const range = loopRange();
+    if (cell >= range.end) { seekPlayback(range.start); playback.frame = requestAnimationFrame(animatePlayback); return; }
+  }
+  if (cell >= playback.totalCells) { pausePlayback(); seekPlayback(0); return; }
+  updatePlayhead(cell);
+  playback.frame = requestAnimationFrame(animatePlayback);
+}
+
+function updatePlayhead(cell) {
+  playback.cell = cell;
+  seekBar.value = String(cell);
+  const secs = Math.floor(cellToSeconds(playback.ekj, cell));
+  timeLabel.textContent = `${Math.floor(secs/60)}:${String(secs%60).padStart(2,"0")}`;
+
+  const line = playback.svg.querySelector(".ek-playhead");
+  const at = lastGeometry.timeLine(cell);
+  ["x1", "y1", "x2", "y2"].forEach(k => line.setAttribute(k, at[k]));
+  line.setAttribute("display", "");
+
+  // Highlight notes sounding at this cell: walk forward by start, drop those that ended
+  if (cell < playback.lastHighlightCell) resetHighlights();
+  playback.lastHighlightCell = cell;
+  while (playback.hlNext < playback.highlights.length && playback.highlights[playback.hlNext].start <= cell) {
+    const h = playback.highlights[playback.hlNext++];
+    if (h.end > cell) { h.el.classList.add("playing"); playback.hlActive.push(h); }
+  }
+  playback.hlActive = playback.hlActive.filter(h => {
+    if (h.end > cell) return true;
+    h.el.classList.remove("playing");
+    return false;
   });
 
-  const gGrid = document.createElementNS(svgNS, "g");
-  gGrid.setAttribute("transform", "translate(60,20)");
-  svg.appendChild(gGrid);
-
-  const cellsPerMeasure = quartersPerMeasure * (ekj.layout.cell_per_quarter || 1);
-  for (let yCell=0; yCell<=totalCells; yCell++) {
-    const y = yCell * cellH;
-    const line = document.createElementNS(svgNS, "line");
-    line.setAttribute("x1", 0); line.setAttribute("y1", y);
-    line.setAttribute("x2", cols.length*colW); line.setAttribute("y2", y);
-    line.setAttribute("stroke", (yCell % cellsPerMeasure === 0) ? "var(--measure)" : "var(--gridline)");
-    line.setAttribute("stroke-width", (yCell % cellsPerMeasure === 0) ? "1.5" : "1");
-    gGrid.appendChild(line);
+  // Keep the cursor in view while playing
+  if (playback.playing) lastGeometry.follow(cell, svgWrap);
+}
+
+function resetHighlights() {
+  playback.hlActive.forEach(h => h.el.classList.remove("playing"));
+  playback.hlActive = [];
+  playback.hlNext = 0;
+  playback.lastHighlightCell = -1;
+}
+
+function seekPlayback(cell) {
+  if (!playback.ekj) return;
+  silenceVoices();
+  resetHighlights();
+  const sec = cellToSeconds(playback.ekj, Math.max(0, Math.min(cell, playback.totalCells)));
+  playback.anchorSec = sec;
+  playback.anchorCtx = playback.ctx ? playback.ctx.currentTime : 0;
+  playback.nextNote = playback.notes.findIndex(n => n.startSec >= sec - 1e-6);
+  if (playback.nextNote < 0) playback.nextNote = playback.notes.length;
+  updatePlayhead(secondsToCell(playback.ekj, sec));
+}
+
+function startPlayback() {
+  if (!playback.ekj || playback.playing) return;
+  if (!playback.ctx) {
+    playback.ctx = new (window.AudioContext || window.webkitAudioContext)();
+    playback.master = playback.ctx.createGain();
+    playback.master.gain.value = 0.5;
+    playback.master.connect(playback.ctx.destination);
   }
+  playback.ctx.resume();
+  playback.playing = true;
+  seekPlayback(playback.cell >= playback.totalCells ? 0 : playback.cell);
+  schedulePlayback();
+  playback.timer = setInterval(schedulePlayback, 25);
+  playback.frame = requestAnimationFrame(animatePlayback);
+  playBtn.textContent = "Pause";
+}
 
-  const gNotes = document.createElementNS(svgNS, "g");
-  gNotes.setAttribute("transform", "translate(60,20)");
-  svg.appendChild(gNotes);
+function pausePlayback() {
+  if (!playback.playing) return;
+  playback.cell = secondsToCell(playback.ekj, currentPlaybackSeconds());
+  playback.playing = false;
+  clearInterval(playback.timer);
+  cancelAnimationFrame(playback.frame);
+  silenceVoices();
+  playBtn.textContent = "Play";
+}
 
-  function pitchToIndex(midi) { return midi - ekj.layout.pitch_min; }
+function stopPlayback() {
+  pausePlayback();
+  playback.ekj = null;
+  playBtn.disabled = true;
+  seekBar.disabled = true;
+  seekBar.value = "0";
+  timeLabel.textContent = "0:00";
+}
 
-  ekj.tracks.forEach(tr => {
-    tr.events.forEach(ev => {
-      if (ev.type !== "note") return;
-      const x = pitchToIndex(ev.pitch) * colW;
-      const start = ev.start;
-      const dur = ev.dur;
-      const startCell = Math.floor(start);
-      const endCell = Math.floor(start + dur - 1e-6);
-
-      // interior sustain squares
-      for (let cell=startCell; cell<=endCell; cell++) {
-        const isFirst = cell === startCell;
-        const isLast  = cell === endCell;
-        const interiorFull = (!isFirst && !isLast);
-        if (interiorFull) {
-          const rect = document.createElementNS(svgNS, "rect");
-          rect.setAttribute("x", x+3);
-          rect.setAttribute("y", cell*26+3);
-          rect.setAttribute("width", 22-6);
-          rect.setAttribute("height", 26-6);
-          rect.setAttribute("rx", "4");
-          rect.setAttribute("fill", "var(--square)");
-          rect.setAttribute("opacity", "0.85");
-          gNotes.appendChild(rect);
-        }
-      }
-
-      // Diamonds at first/last centers
-      function drawDiamond(cellIndex) {
-        const cx = x + 22/2;
-        const cy = (cellIndex+0.5)*26;
-        const size = Math.min(22,26)*0.42;
-        const pts = [[cx,cy-size],[cx+size,cy],[cx,cy+size],[cx-size,cy]].map(p=>p.join(",")).join(" ");
-        const poly = document.createElementNS(svgNS, "polygon");
-        poly.setAttribute("points", pts);
-        poly.setAttribute("fill", "var(--diamond)");
-        poly.setAttribute("opacity", "0.95");
-        gNotes.appendChild(poly);
-      }
-      drawDiamond(startCell);
-      if (endCell !== startCell) drawDiamond(endCell);
-
-      // 16th clock-hands at onset slot
-      if (Array.isArray(ev.subcells)) {
-        ev.subcells.forEach(slot => {
-          const cx = x + 22/2;
-          const cy = (startCell+0.5)*26;
-          const len = Math.min(22,26)*0.44;
-          let dx=0, dy=0;
-          if (slot===0) { dx=-len*0.8; dy=-len*0.8; }
-          else if (slot===1) { dx= len*0.8; dy=-len*0.8; }
-          else if (slot===2) { dx= len*0.8; dy= len*0.8; }
-          else if (slot===3) { dx=-len*0.8; dy= len*0.8; }
-          const line = document.createElementNS(svgNS, "line");
-          line.setAttribute("x1", cx); line.setAttribute("y1", cy);
-          line.setAttribute("x2", cx+dx); line.setAttribute("y2", cy+dy);
-          line.setAttribute("stroke", "var(--hand)");
-          line.setAttribute("stroke-width", "2.2");
-          line.setAttribute("stroke-linecap", "round");
-          gNotes.appendChild(line);
-        });
-      }
+playBtn.addEventListener('click', () => { if (playback.playing) pausePlayback(); else startPlayback(); });
+seekBar.addEventListener('input', () => seekPlayback(parseFloat(seekBar.value)));
+svgWrap.addEventListener('click', (e) => {
+  if (editor.active || !playback.ekj || !playback.svg.contains(e.target)) return;
+  const rect = playback.svg.getBoundingClientRect();
+  seekPlayback(lastGeometry.toGrid(e.clientX - rect.left, e.clientY - rect.top).cell);
+});
+
+// ---------- Note Editor ----------
+// Edit mode: click an empty cell to add a note, drag a note to change its start (or its last cell to change
+// its length), Delete removes the selection, the track menu moves it. Undo/redo keep snapshots of the tracks.
+const EDIT_SNAP = 0.25;
+const EDIT_HISTORY = 100;
+const editor = { ekj: null, active: false, selected: null, undo: [], redo: [], drag: null };
+
+function resetEditor(ekj) {
+  editor.ekj = ekj;
+  editor.selected = null;
+  editor.undo = [];
+  editor.redo = [];
+  editor.drag = null;
+  editToggle.disabled = !ekj;
+  editTrack.innerHTML = "";
+  if (ekj) {
+    ekj.tracks.forEach((tr, i) => {
+      const opt = document.createElement("option");
+      opt.value = String(i); opt.textContent = tr.name || `Track ${i+1}`;
+      editTrack.appendChild(opt);
     });
+  }
+  updateEditControls();
+}
+
+function updateEditControls() {
+  const on = editor.active && !!editor.ekj;
+  editTrack.disabled = !on;
+  deleteNoteBtn.disabled = !on || !editor.selected;
+  undoBtn.disabled = !on || !editor.undo.length;
+  redoBtn.disabled = !on || !editor.redo.length;
+  editToggle.textContent = editor.active ? "Done editing" : "Edit";
+  svgWrap.classList.toggle("editing", on);
+}
+
+function selectedEvent() {
+  if (!editor.selected) return null;
+  const tr = editor.ekj.tracks[editor.selected.track];
+  return tr ? tr.events[editor.selected.index] || null : null;
+}
+
+function snapshotTracks() { return JSON.stringify(editor.ekj.tracks); }
+
+function pushUndo(snapshot) {
+  editor.undo.push(snapshot);
+  if (editor.undo.length > EDIT_HISTORY) editor.undo.shift();
+  editor.redo = [];
+}
+
+// Re-derives envelopes/subcells and redraws, keeping the scroll position and selection
+function refreshEdited() {
+  assignHands(editor.ekj);
+  addEnvelopesAndSubcells(editor.ekj);
+  const { scrollTop, scrollLeft } = svgWrap;
+  renderEKJ(editor.ekj);
+  svgWrap.scrollTop = scrollTop;
+  svgWrap.scrollLeft = scrollLeft;
+  if (editor.selected) {
+    const el = lastSVG.querySelector(`.ek-note[data-track="${editor.selected.track}"][data-index="${editor.selected.index}"]`);
+    if (el) el.classList.add("selected");
+    else editor.selected = null;
+  }
+  if (editor.selected) editTrack.value = String(editor.selected.track);
+  updateEditControls();
+}
+
+function applyEdit(mutate) {
+  const before = snapshotTracks();
+  mutate();
+  if (snapshotTracks() === before) return;
+  pushUndo(before);
+  refreshEdited();
+}
+
+function restoreTracks(from, to) {
+  if (!from.length) return;
+  to.push(snapshotTracks());
+  editor.ekj.tracks = JSON.parse(from.pop());
+  editor.selected = null;
+  refreshEdited();
+}
+function undoEdit() { restoreTracks(editor.undo, editor.redo); }
+function redoEdit() { restoreTracks(editor.redo, editor.undo); }
+
+function deleteSelectedNote() {
+  const sel = editor.selected;
+  if (!sel) return;
+  applyEdit(() => { editor.ekj.tracks[sel.track].events.splice(sel.index, 1); editor.selected = null; });
+}
+
+function moveSelectedToTrack(trackIndex) {
+  const sel = editor.selected;
+  if (!sel || sel.track === trackIndex) return;
+  applyEdit(() => {
+    const [ev] = editor.ekj.tracks[sel.track].events.splice(sel.index, 1);
+    const events = editor.ekj.tracks[trackIndex].events;
+    events.push(ev);
+    events.sort((a,b) => a.start - b.start);
+    editor.selected = { track: trackIndex, index: events.indexOf(ev) };
+  });
+}
+
+// Pointer position in grid units: column index and (fractional) cell
+function gridPoint(e) {
+  const rect = lastSVG.getBoundingClientRect();
+  const p = lastGeometry.toGrid(e.clientX - rect.left, e.clientY - rect.top);
+  return { col: Math.floor(p.col), cell: p.cell };
+}
+
+function onEditPointerDown(e) {
+  if (!editor.active || !lastSVG || !lastSVG.contains(e.target)) return;
+  e.preventDefault();
+  const p = gridPoint(e);
+  const noteEl = e.target.closest(".ek-note");
+  if (noteEl) {
+    editor.selected = { track: parseInt(noteEl.getAttribute("data-track"), 10), index: parseInt(noteEl.getAttribute("data-index"), 10) };
+    lastSVG.querySelectorAll(".ek-note.selected").forEach(el => el.classList.remove("selected"));
+    noteEl.classList.add("selected");
+    editTrack.value = String(editor.selected.track);
+    const ev = selectedEvent();
+    const lastCell = Math.floor(ev.start + ev.dur - 1e-6);
+    const resize = ev.dur > EDIT_SNAP && Math.floor(p.cell) === lastCell && lastCell > Math.floor(ev.start);
+    editor.drag = { mode: resize ? "length" : "start", y0: p.cell, start: ev.start, dur: ev.dur, before: snapshotTracks(), frame: 0 };
+  } else {
+    editor.selected = null;
+    lastSVG.querySelectorAll(".ek-note.selected").forEach(el => el.classList.remove("selected"));
+    editor.drag = { mode: "add", y0: p.cell, col: p.col };
+  }
+  updateEditControls();
+}
+
+function onEditPointerMove(e) {
+  const drag = editor.drag;
+  if (!drag || drag.mode === "add") return;
+  const ev = selectedEvent();
+  if (!ev) return;
+  const delta = Math.round((gridPoint(e).cell - drag.y0) / EDIT_SNAP) * EDIT_SNAP;
+  const start = drag.mode === "start" ? Math.max(0, drag.start + delta) : drag.start;
+  const dur = drag.mode === "length" ? Math.max(EDIT_SNAP, drag.dur + delta) : drag.dur;
+  if (start === ev.start && dur === ev.dur) return;
+  ev.start = start;
+  ev.dur = dur;
+  // Redraw at most once a frame while dragging; pointerup does the final refresh
+  if (!drag.frame) drag.frame = requestAnimationFrame(() => { drag.frame = 0; refreshEdited(); });
+}
+
+function onEditPointerUp(e) {
+  const drag = editor.drag;
+  if (!drag) return;
+  editor.drag = null;
+  if (drag.frame) cancelAnimationFrame(drag.frame);
+  if (drag.mode === "add") {
+    const p = gridPoint(e);
+    const column = editor.ekj.layout.columns[drag.col];
+    if (!column || Math.floor(p.cell) !== Math.floor(drag.y0) || p.cell < 0) return;
+    const trackIndex = parseInt(editTrack.value, 10) || 0;
+    applyEdit(() => {
+      if (!editor.ekj.tracks.length) editor.ekj.tracks.push({ name: "Track 1", color: trackColor(0), events: [] });
+      const events = editor.ekj.tracks[trackIndex].events;
+      // Columns show sounding pitch; store the written pitch under the current transposition
+      const ev = { type: "note", pitch: column.midi - (editor.ekj.metadata.transpose_semitones || 0), start: Math.floor(p.cell), dur: 1, vel: 96 };
+      events.push(ev);
+      events.sort((a,b) => a.start - b.start);
+      editor.selected = { track: trackIndex, index: events.indexOf(ev) };
+    });
+    return;
+  }
+  // Keep the event list ordered by start after a move
+  const ev = selectedEvent();
+  if (ev && snapshotTracks() !== drag.before) {
+    const events = editor.ekj.tracks[editor.selected.track].events;
+    events.sort((a,b) => a.start - b.start);
+    editor.selected.index = events.indexOf(ev);
+    pushUndo(drag.before);
+    refreshEdited();
+  } else if (drag.frame) {
+    refreshEdited();
+  }
+}
+
+editToggle.addEventListener('click', () => {
+  editor.active = !editor.active;
+  if (editor.active) pausePlayback();
+  if (!editor.active && editor.selected) { editor.selected = null; lastSVG.querySelectorAll(".ek-note.selected").forEach(el => el.classList.remove("selected")); }
+  updateEditControls();
+});
+editTrack.addEventListener('change', () => moveSelectedToTrack(parseInt(editTrack.value, 10)));
+deleteNoteBtn.addEventListener('click', deleteSelectedNote);
+undoBtn.addEventListener('click', undoEdit);
+redoBtn.addEventListener('click', redoEdit);
+svgWrap.addEventListener('pointerdown', onEditPointerDown);
+window.addEventListener('pointermove', onEditPointerMove);
+window.addEventListener('pointerup', onEditPointerUp);
+document.addEventListener('keydown', (e) => {
+  if (!editor.active || /^(INPUT|SELECT|TEXTAREA)$/.test(e.target.tagName)) return;
+  const key = e.key.toLowerCase();
+  if ((e.ctrlKey || e.metaKey) && key === "z") { e.preventDefault(); if (e.shiftKey) redoEdit(); else undoEdit(); }
+  else if ((e.ctrlKey || e.metaKey) && key === "y") { e.preventDefault(); redoEdit(); }
+  else if (e.key === "Delete" || e.key === "Backspace") { e.preventDefault(); deleteSelectedNote(); }
+});
+
+// ---------- Quantise ----------
+// Performed MIDI snapped to a grid by the core quantiser. "Before/after" shows the current score next to the
+// result; Apply replaces the tracks as one undoable edit.
+function quantizeOptions() {
+  const swing = quantizeSwing.value;
+  return {
+    grid: parseInt(quantizeGrid.value, 10),
+    strength: parseInt(quantizeStrength.value, 10) / 100,
+    swing: swing === "off" || swing === "auto" ? swing : parseFloat(swing),
+    triplets: quantizeTriplets.value,
+    minLength: parseFloat(quantizeMinLength.value)
+  };
+}
+
+function quantizeSummary(stats) {
+  const extras = [];
+  if (stats.swing) extras.push(`swing ${Math.round(stats.swing*100)}%`);
+  if (stats.tripletBeats) extras.push(`${stats.tripletBeats} triplet beat(s)`);
+  if (stats.lengthened) extras.push(`${stats.lengthened} lengthened`);
+  if (stats.merged) extras.push(`${stats.merged} merged`);
+  return `${stats.moved} of ${stats.notes} notes moved` + (extras.length ? ` • ${extras.join(" • ")}` : "");
+}
+
+function showQuantizePreview() {
+  quantizePreviewEl.innerHTML = "";
+  if (!lastEKJ || !quantizePreviewToggle.checked) {
+    quantizePreviewEl.hidden = true;
+    return;
+  }
+  const { tracks, stats } = quantizeTracks(lastEKJ, quantizeOptions());
+  const after = Object.assign({}, lastEKJ, { tracks });
+  addEnvelopesAndSubcells(after);
+  [["Before", lastEKJ], [`After: ${quantizeSummary(stats)}`, after]].forEach(([caption, ekj]) => {
+    const fig = document.createElement("figure");
+    const cap = document.createElement("figcaption");
+    cap.textContent = caption;
+    fig.appendChild(cap);
+    fig.appendChild(buildSvgElement(ekj));
+    quantizePreviewEl.appendChild(fig);
   });
+  quantizePreviewEl.hidden = false;
+}
+
+function applyQuantize() {
+  if (!lastEKJ) return;
+  const { tracks, stats } = quantizeTracks(lastEKJ, quantizeOptions());
+  editor.selected = null;
+  applyEdit(() => { editor.ekj.tracks = tracks; });
+  setStatus(`Quantised: ${quantizeSummary(stats)}. Undo is available in edit mode.`);
+}
+
+[quantizeGrid, quantizeStrength, quantizeSwing, quantizeTriplets, quantizeMinLength, quantizePreviewToggle].forEach(el => el.addEventListener('change', showQuantizePreview));
+quantizeApplyBtn.addEventListener('click', applyQuantize);
+
+// ---------- Session Library ----------
+// Every imported file gets an entry; the active one is the one shown and targeted by the single-file buttons.
+const library = [];
+let libraryNextId = 1;
+let activeLibraryId = null;
+
+function addLibraryEntry(name) {
+  const entry = { id: libraryNextId++, name, status: "loading", message: "", ekj: null };
+  library.push(entry);
+  renderLibrary();
+  return entry;
+}
+
+function setLibraryEntryStatus(entry, status, message) {
+  entry.status = status;
+  entry.message = message || "";
+  renderLibrary();
+}
+
+function showLibraryEntry(id) {
+  const entry = library.find(e => e.id === id);
+  if (!entry || entry.status !== "ready") return;
+  activeLibraryId = id;
+  renderEKJ(entry.ekj);
+  renderLibrary();
+}
+
+// Removing the entry that is still loading cancels its import; the rest of the batch carries on
+function removeLibraryEntry(id) {
+  const i = library.findIndex(e => e.id === id);
+  if (i < 0) return;
+  const [entry] = library.splice(i, 1);
+  if (entry.status === "loading" && importJob.entryId === id && importJob.cancel) {
+    importJob.cancel();
+    setStatus(`Cancelled loading ${entry.name}.`);
+  }
+  if (activeLibraryId === id) {
+    const next = library.find(e => e.status === "ready");
+    if (next) showLibraryEntry(next.id);
+    else clearView();
+  }
+  renderLibrary();
+}
 
+function clearView() {
+  stopPlayback();
+  resetEditor(null);
   svgWrap.innerHTML = "";
-  svgWrap.appendChild(svg);
-  lastSVG = svg;
-  lastEKJ = ekj;
+  lastSVG = null;
+  lastEKJ = null;
+  lastGeometry = null;
+  virtualView.on = false;
+  activeLibraryId = null;
   enableDownloads();
+  renderLegend(null);
+  syncPitchControls(null);
+  syncHandControls(null);
+  syncKeyLabel(null);
+  showPagePreview();
+  showQuantizePreview();
 }
 
-function downloadSVG() {
-  if (!lastSVG) return;
-  const s = new XMLSerializer().serializeToString(lastSVG);
-  const blob = new Blob([s], {type: "image/svg+xml"});
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a"); a.href = url; a.download = "easykey-render.svg"; a.click();
-  URL.revokeObjectURL(url);
+function renderLibrary() {
+  libraryEl.innerHTML = "";
+  library.forEach(entry => {
+    const li = document.createElement("li");
+    li.className = `lib-entry ${entry.status}` + (entry.id === activeLibraryId ? " active" : "");
+    const name = document.createElement("button");
+    name.className = "lib-name";
+    name.textContent = entry.name;
+    name.disabled = entry.status !== "ready";
+    name.addEventListener('click', () => showLibraryEntry(entry.id));
+    const status = document.createElement("span");
+    status.className = "lib-status";
+    status.textContent = entry.status === "loading" ? "Loading…" : entry.status === "ready" ? entry.message : `Failed: ${entry.message}`;
+    const remove = document.createElement("button");
+    remove.className = "lib-remove";
+    remove.title = "Remove";
+    remove.textContent = "×";
+    remove.addEventListener('click', () => removeLibraryEntry(entry.id));
+    li.append(name, status, remove);
+    libraryEl.appendChild(li);
+  });
+  downloadAllBtn.disabled = !library.some(e => e.status === "ready");
 }
-function downloadJSON() {
-  if (!lastEKJ) return;
-  const blob = new Blob([JSON.stringify(lastEKJ, null, 2)], {type: "application/json"});
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement("a"); a.href = url; a.download = "easykey-score.ekj.json"; a.click();
-  URL.revokeObjectURL(url);
+
+// File names inside the ZIP: the import name without its extension, made unique
+function libraryBaseNames() {
+  const used = new Set();
+  return library.filter(e => e.status === "ready").map(entry => {
+    const stem = entry.name.replace(/\.ekj\.json$/i, "").replace(/\.[^.]+$/, "") || "score";
+    let base = stem;
+    for (let n=2; used.has(base.toLowerCase()); n++) base = `${stem}-${n}`;
+    used.add(base.toLowerCase());
+    return { entry, base };
+  });
 }
-downloadSvgBtn.addEventListener('click', downloadSVG);
-downloadJsonBtn.addEventListener('click', downloadJSON);
+
+async function downloadAllZip() {
+  const items = libraryBaseNames();
+  if (!items.length) return;
+  const zip = new JSZip();
+  items.forEach(({ entry, base }) => {
+    zip.file(`${base}.svg`, serializeSVG(buildSvgElement(entry.ekj)));
+    zip.file(`${base}.ekj.json`, JSON.stringify(entry.ekj, null, 2));
+  });
+  downloadBlob(await zip.generateAsync({ type: "blob" }), "easykey-library.zip");
+}
+downloadAllBtn.addEventListener('click', downloadAllZip);
+
+// ---------- Background Import ----------
+// Files are parsed in easykey-worker.js so large or broken files never block the page; progress and a Cancel
+// button show under the status line. Where the worker can't start (no module workers, pages opened from
+// file://, CDN unreachable) the same core importer runs on the main thread.
+const importJob = { worker: null, workerFailed: false, nextId: 1, cancel: null, entryId: null, queue: [], running: false };
+
+function importWorker() {
+  if (!importJob.worker && !importJob.workerFailed) {
+    try {
+      importJob.worker = new Worker("./easykey-worker.js", { type: "module" });
+    } catch (err) {
+      console.warn("Import worker unavailable; importing on the main thread.", err);
+      importJob.workerFailed = true;
+    }
+  }
+  return importJob.worker;
+}
+
+// Errors cross from the worker as plain objects; rebuild the core's error classes
+function reviveImportError(error) {
+  if (error.name === "EKJValidationError") return new EKJValidationError(error.errors || []);
+  if (error.name === "EKJImportError") return new EKJImportError(error.reason, error.where);
+  return new Error(error.message);
+}
+
+// Resolves to { kind, ekj } or null for unsupported types; rejects with an AbortError when cancelled
+function importFile(file, onProgress) {
+  const name = file.name;
+  return new Promise((resolve, reject) => {
+    let worker = null, settled = false;
+    // importJob.cancel may already belong to the next file when a cancelled one's callbacks run late
+    const done = () => {
+      settled = true;
+      if (importJob.cancel === cancel) importJob.cancel = null;
+      if (!worker) return;
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+    };
+    // A cancelled worker is in the middle of parsing: stop it and start a fresh one next time
+    const cancel = () => {
+      done();
+      if (worker) { worker.terminate(); importJob.worker = null; }
+      reject(new DOMException("Import cancelled", "AbortError"));
+    };
+    importJob.cancel = cancel;
+    let buffer = null;
+    const onMainThread = () => bufferToEKJ(name, buffer, onProgress).then(
+      result => { if (!settled) { done(); resolve(result); } },
+      err => { if (!settled) { done(); reject(err); } });
+
+    const id = importJob.nextId++;
+    function onMessage(e) {
+      const msg = e.data;
+      if (msg.id !== id) return;
+      if (msg.type === "progress") { onProgress(msg.fraction, msg.detail); return; }
+      done();
+      if (msg.type === "done") resolve(msg.result);
+      else reject(reviveImportError(msg.error));
+    }
+    // The worker script itself failed to load or crashed: retry this file on the main thread
+    function onError(e) {
+      e.preventDefault();
+      console.warn("Import worker failed; importing on the main thread.", e.message);
+      worker.removeEventListener('message', onMessage);
+      worker.removeEventListener('error', onError);
+      worker.terminate();
+      importJob.worker = null;
+      importJob.workerFailed = true;
+      onMainThread();
+    }
+    file.arrayBuffer().then(data => {
+      if (settled) return;
+      buffer = data;
+      worker = importWorker();
+      if (!worker) { onMainThread(); return; }
+      worker.addEventListener('message', onMessage);
+      worker.addEventListener('error', onError);
+      // The buffer is copied, not transferred, so the main-thread fallback can still read it
+      worker.postMessage({ id, name, buffer });
+    }, err => { done(); reject(err); });
+  });
+}
+
+function showImportProgress(name, fraction, detail) {
+  importBar.hidden = false;
+  importProgress.value = fraction;
+  setStatus(`Loading ${name}… ${Math.floor(fraction * 100)}%` + (detail ? ` (${detail})` : ""));
+}
+
+cancelImportBtn.addEventListener('click', () => { if (importJob.cancel) importJob.cancel(); });
 
 // ---------- FILE HANDLERS ----------
+// One file at a time; files added while an import runs join its queue, and cancelling drops the rest of it
+async function handleFiles(files) {
+  importJob.queue.push(...files);
+  if (importJob.running) return;
+  importJob.running = true;
+  try {
+    while (importJob.queue.length) {
+      const file = importJob.queue.shift();
+      if (await handleFile(file)) continue;
+      const skipped = importJob.queue.splice(0).length;
+      if (skipped) setStatus(`Cancelled loading ${file.name}; ${skipped} more file(s) not loaded.`);
+    }
+  } finally {
+    importJob.running = false;
+  }
+}
+
 fileInput.addEventListener('change', async (e) => {
   const files = e.target.files ? Array.from(e.target.files) : [];
-  for (const f of files) await handleFile(f);
   fileInput.value = "";
+  await handleFiles(files);
 });
 
 ;['dragenter','dragover'].forEach(evt => drop.addEventListener(evt, e=>{
@@ -347,47 +1274,56 @@ fileInput.addEventListener('change', async (e) => {
 }));
 drop.addEventListener('drop', async (e) => {
   const files = e.dataTransfer.files ? Array.from(e.dataTransfer.files) : [];
-  for (const f of files) await handleFile(f);
+  await handleFiles(files);
+});
+
+// Pasted ABC goes through the same path as an uploaded .abc file, named after its T: line
+importAbcBtn.addEventListener('click', async () => {
+  const text = abcText.value;
+  if (!text.trim()) { setStatus("Paste ABC notation into the box first."); return; }
+  const title = (/^T:(.*)$/m.exec(text) || [])[1];
+  await handleFiles([new File([text], `${(title || "").trim() || "Pasted tune"}.abc`, { type: "text/plain" })]);
 });
 
+// Imports one file into the library; returns false when the user cancelled it (removing its entry only
+// drops that file)
 async function handleFile(file) {
-  setStatus(`Loading ${file.name}…`);
+  const entry = addLibraryEntry(file.name);
+  importJob.entryId = entry.id;
+  showImportProgress(file.name, 0, "");
   try {
-    const ext = file.name.toLowerCase().split('.').pop();
-    if (ext === "mid" || ext === "midi") {
-      const buf = await file.arrayBuffer();
-      const ekj = midiArrayBufferToEKJ(buf);
-      renderEKJ(ekj);
-      setStatus(`Loaded MIDI: ${file.name}`);
-    } else if (ext === "musicxml" || ext === "xml") {
-      const text = await file.text();
-      const ekj = await musicXmlTextToEKJ(text, file.name);
-      renderEKJ(ekj);
-      setStatus(`Loaded MusicXML: ${file.name}`);
-    } else if (ext === "mxl") {
-      const buf = await file.arrayBuffer();
-      const zip = await JSZip.loadAsync(buf);
-      let xmlPath = null;
-      if (zip.files["META-INF/container.xml"]) {
-        const containerText = await zip.files["META-INF/container.xml"].async("text");
-        const dom = new DOMParser().parseFromString(containerText, "application/xml");
-        const rootfile = dom.querySelector("rootfile");
-        xmlPath = rootfile?.getAttribute("full-path");
-      }
-      if (!xmlPath) {
-        const cand = Object.keys(zip.files).find(k => k.toLowerCase().endsWith(".xml"));
-        xmlPath = cand;
-      }
-      if (!xmlPath) throw new Error("No MusicXML found inside .mxl");
-      const xmlText = await zip.files[xmlPath].async("text");
-      const ekj = await musicXmlTextToEKJ(xmlText, file.name);
-      renderEKJ(ekj);
-      setStatus(`Loaded MXL: ${file.name}`);
-    } else {
+    const result = await importFile(file, (fraction, detail) => showImportProgress(file.name, fraction, detail));
+    if (!library.includes(entry)) return true;
+    if (!result) {
+      setLibraryEntryStatus(entry, "error", "Unsupported file type");
       setStatus(`Unsupported file type: ${file.name}`);
+      return true;
     }
+    entry.ekj = result.ekj;
+    setLibraryEntryStatus(entry, "ready", result.kind);
+    showLibraryEntry(entry.id);
+    setStatus(`Loaded ${result.kind}: ${file.name}`);
   } catch (err) {
+    if (!library.includes(entry)) return true;
+    if (err.name === "AbortError") {
+      removeLibraryEntry(entry.id);
+      setStatus(`Cancelled loading ${file.name}.`);
+      return false;
+    }
     console.error(err);
-    setStatus('Failed to import file. See console.');
+    if (err instanceof EKJValidationError) {
+      setLibraryEntryStatus(entry, "error", `${err.errors.length} schema problem(s)`);
+      setStatus(`Failed to load ${file.name}:\n` + err.errors.map(e => `• ${e.path}: ${e.message}`).join("\n"));
+    } else if (err instanceof EKJImportError) {
+      setLibraryEntryStatus(entry, "error", err.reason);
+      setStatus(`Failed to load ${file.name}:\n• ${err.message}`);
+    } else {
+      setLibraryEntryStatus(entry, "error", err.message || "Import failed");
+      setStatus(`Failed to load ${file.name}: ${err.message || err}`);
+    }
+  } finally {
+    importJob.entryId = null;
+    importBar.hidden = true;
   }
+  return true;
 }
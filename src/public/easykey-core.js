@@ -0,0 +1,2717 @@
+// EasyKey core: DOM-free conversion (MIDI, MusicXML, MXL, ABC, EKJ JSON -> EKJ), EKJ -> MIDI/MusicXML export
+// and EKJ -> SVG rendering.
+// The page loads it as a classic script (window.EasyKeyCore, before app.js); Node loads it with require().
+// Parsers come from configure() or, in the browser, from the globals Midi, JSZip and DOMParser.
+// Renderers return SvgNode trees; String(node) is the SVG markup.
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory(root);
+  else root.EasyKeyCore = factory(root);
+})(typeof self !== "undefined" ? self : this, function (root) {
+"use strict";
+
+// ---------- Dependencies ----------
+const deps = {};
+function configure(overrides) { Object.assign(deps, overrides); }
+function dep(name) {
+  const value = deps[name] || (root && root[name]);
+  if (!value) throw new Error(`${name} is not available; pass it to EasyKeyCore.configure()`);
+  return value;
+}
+
+// ---------- Import Errors & Progress ----------
+// Import failures say where they happened (track, part, measure) so the message is something users can act on.
+// where: { track, part, measure, line } as far as known; the message already includes it.
+class EKJImportError extends Error {
+  constructor(message, where = {}) {
+    const at = [where.track, where.part && `part ${where.part}`, where.measure && `measure ${where.measure}`,
+      where.line && `line ${where.line}`].filter(Boolean).join(", ");
+    super(at ? `${at}: ${message}` : message);
+    this.name = "EKJImportError";
+    this.where = where;
+    this.reason = message;
+  }
+}
+
+// Wraps anything thrown inside an importer step; errors that already carry a location are kept
+function importError(err, where) {
+  if (err instanceof EKJImportError || err instanceof EKJValidationError) return err;
+  return new EKJImportError((err && err.message) || String(err), where);
+}
+
+// Importers report progress as onProgress(fraction 0..1, detail); reporting is optional
+const noProgress = () => {};
+
+// ---------- Pitch Helpers ----------
+function isBlackKey(midi) { return [1,3,6,8,10].includes(midi % 12); }
+function midiToNoteName(midi) {
+  const names = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
+  const n = names[midi%12]; const oct = Math.floor(midi/12) - 1; return n + oct;
+}
+function buildColumns(minPitch, maxPitch) {
+  const columns = [];
+  for (let p=minPitch; p<=maxPitch; p++) columns.push({ midi:p, label:midiToNoteName(p), shade:isBlackKey(p) });
+  return columns;
+}
+
+// ---------- Subdivisions ----------
+// Clock-hand slots per cell, tried in this order so an onset gets the coarsest family that fits: quarters of
+// the cell (16ths with one cell per quarter), then triplets, sextuplets and eighths (32nds). Within
+// SLOT_TOLERANCE of a slot (a fraction of the slot) counts as on it, which absorbs tick rounding in MIDI files.
+const SUBDIVISIONS = [4, 3, 6, 8];
+const SLOT_TOLERANCE = 0.02;
+const CELLS_PER_QUARTER = [1, 2, 4];
+const SLOT_VALUES = { 2: "8ths", 3: "8th triplets", 4: "16ths", 6: "sextuplets", 8: "32nds", 12: "32nd triplets",
+  16: "64ths", 24: "64th triplets", 32: "128ths" };
+
+// { subdiv, slot } for an onset `frac` of the way through its cell, or null when it's on no slot.
+// slot === subdiv means just before the next cell's start (slot 0 there).
+function subdivisionSlot(frac) {
+  for (const subdiv of SUBDIVISIONS) {
+    const pos = frac * subdiv;
+    if (Math.abs(pos - Math.round(pos)) < SLOT_TOLERANCE) return { subdiv, slot: Math.round(pos) };
+  }
+  return null;
+}
+
+// Fewest cells per quarter that put every onset (in quarters) on a slot. Performed timing that fits none
+// stays at one cell per quarter, for the quantiser to tidy up.
+function cellPerQuarterFor(onsets) {
+  return CELLS_PER_QUARTER.find(cpq => onsets.every(q => subdivisionSlot(((q * cpq) % 1 + 1) % 1))) || 1;
+}
+
+// Note value of one slot, e.g. "8th triplets" for three slots in a quarter cell
+function subdivisionName(subdiv, cpq = 1) {
+  return SLOT_VALUES[subdiv * cpq] || `${subdiv} per cell`;
+}
+
+// Subdivisions the clock hands of a score use (after addEnvelopesAndSubcells), in SUBDIVISIONS order
+function subdivisionsUsed(ekj) {
+  const used = new Set();
+  ekj.tracks.forEach(tr => tr.events.forEach(ev => { if (ev.subcells && ev.subcells.length) used.add(ev.subdiv || 4); }));
+  return SUBDIVISIONS.filter(subdiv => used.has(subdiv));
+}
+
+// ---------- MIDI Path ----------
+function detectCellPerQuarterFromMIDI(midi) {
+  const ppq = midi.header.ppq || 480;
+  const onsets = [];
+  midi.tracks.forEach(t => t.notes.forEach(n => onsets.push(n.ticks / ppq)));
+  return cellPerQuarterFor(onsets);
+}
+
+function midiArrayBufferToEKJ(arrayBuf, onProgress = noProgress) {
+  const Midi = dep("Midi");
+  let midi;
+  try { midi = new Midi(arrayBuf); }
+  catch (err) { throw new EKJImportError(`not a readable MIDI file (${(err && err.message) || err})`); }
+  onProgress(0.5, "MIDI parsed");
+  const ppq = midi.header.ppq || 480;
+
+  const cellPerQuarter = detectCellPerQuarterFromMIDI(midi);
+  const tickToCells = (ticks)=> (ticks/ppq) * cellPerQuarter;
+
+  const tempoMap = normalizeTempoMap(midi.header.tempos.map(t => ({ cell: tickToCells(t.ticks), bpm: Math.round(t.bpm*1000)/1000 })));
+  const meterMap = normalizeMeterMap(midi.header.timeSignatures.map(t => ({ cell: tickToCells(t.ticks), time_signature: t.timeSignature.slice(0,2) })));
+  const tempo = tempoMap[0].bpm;
+  const [num, den] = meterMap[0].time_signature;
+
+  // Percussion (channel 10) goes to the drum lane and doesn't widen the keyboard
+  let minPitch = 127, maxPitch = 0;
+  midi.tracks.forEach(t=> { if (!t.instrument.percussion) t.notes.forEach(n=>{ minPitch = Math.min(minPitch, n.midi); maxPitch = Math.max(maxPitch, n.midi); }); });
+  if (minPitch>maxPitch) { minPitch=60; maxPitch=72; }
+
+  const columns = buildColumns(minPitch, maxPitch);
+
+  // @tonejs/midi already splits tracks (type-0 files included) into one per channel and program
+  const names = midiTrackNames(midi);
+  const tracks = midi.tracks.map((t, i) => {
+    onProgress(0.5 + 0.5 * i / midi.tracks.length, `track ${i+1} of ${midi.tracks.length}`);
+    try {
+      const tr = {
+        name: names[i],
+        color: trackColor(i),
+        instrument: titleCase(t.instrument.name || ""),
+        program: t.instrument.number,
+        channel: t.channel + 1,
+        events: t.notes.map(n => {
+          if (!isFinite(n.ticks) || n.midi < 0 || n.midi > 127) throw new Error(`note at tick ${n.ticks} is out of range`);
+          return {
+            type: "note",
+            pitch: n.midi,
+            start: (n.ticks/ppq) * cellPerQuarter,
+            dur: ((n.durationTicks || Math.round(n.duration*ppq))/ppq) * cellPerQuarter,
+            vel: Math.round((n.velocity||0.7)*127)
+          };
+        })
+      };
+      if (t.instrument.percussion) tr.drums = true;
+      return tr;
+    } catch (err) {
+      throw importError(err, { track: `track ${i+1}` + (t.name ? ` "${t.name}"` : "") });
+    }
+  });
+
+  const annotations = midiAnnotations(midi, midiTextEvents(arrayBuf), tickToCells);
+
+  const ekj = {
+    version: EKJ_VERSION,
+    metadata: { title: midi.header.name || "MIDI Import", composer: "", tempo_bpm: tempo, time_signature: [num,den], tempo_map: tempoMap, meter_map: meterMap, ppq, transpose_semitones: 0 },
+    layout: { mode:"classic", pitch_min:minPitch, pitch_max:maxPitch, cell_per_quarter:cellPerQuarter, columns },
+    tracks, annotations
+  };
+  setKey(ekj, null);
+  assignHands(ekj);
+  addEnvelopesAndSubcells(ekj);
+  return ekj;
+}
+
+// Track names: the track's own name, else its General MIDI instrument. The first track name of the file is
+// its title (and in type-0 files sits on whichever split track got it), so it doesn't name a part.
+// Parts that still share a name get their channel added.
+function midiTrackNames(midi) {
+  const names = midi.tracks.map(t => {
+    if (t.name && t.name !== midi.header.name) return t.name;
+    return t.instrument.percussion ? "Drums" : titleCase(t.instrument.name || "") || "Track";
+  });
+  return names.map((name, i) => names.indexOf(name) !== names.lastIndexOf(name) ? `${name} (ch ${midi.tracks[i].channel + 1})` : name);
+}
+
+// ---------- MusicXML / MXL Path ----------
+async function musicXmlTextToEKJ(xmlText, name="MusicXML Import", onProgress = noProgress) {
+  const XmlParser = dep("DOMParser");
+  const doc = new XmlParser().parseFromString(xmlText, "text/xml");
+  // Browsers report malformed XML as a <parsererror> document instead of throwing
+  const parseError = doc.querySelector("parsererror");
+  if (parseError) throw new EKJImportError(`malformed XML (${parseError.textContent.trim().split("\n")[0]})`);
+  if (!doc.querySelector("score-partwise, score-timewise")) throw new EKJImportError("not a MusicXML score (no <score-partwise> element)");
+  if (doc.querySelector("score-timewise")) throw new EKJImportError("timewise MusicXML is not supported; export the score as partwise");
+
+  // Divisions
+  let divisions = 480;
+  const divNode = doc.querySelector("attributes divisions");
+  if (divNode) divisions = parseInt(divNode.textContent||"480",10);
+
+  const parts = Array.from(doc.querySelectorAll("part"));
+  const tracks = [];
+  const tempos = [];
+  const meters = [];
+  const annotations = { pedal:[], markers:[], dynamics:[], chords:[] };
+  let globalMin = 127, globalMax = 0;
+  let maxEndCells = 0;
+
+  parts.forEach((part, partIndex) => {
+    // Positions are collected in quarters and scaled to cells once cell_per_quarter is known.
+    // MusicXML keeps one cursor per part: notes advance it, <backup>/<forward> move it, <chord/> reuses the
+    // onset of the voice's previous note. Each voice/staff remembers its own last onset for chords.
+    let timeCells = 0;
+    let curTS = [4,4];
+    let partDivisions = divisions;
+    const voiceOnset = new Map();
+    let lastOnset = 0;
+    const events = [];
+    const measures = Array.from(part.querySelectorAll("measure"));
+    const tieOpen = new Map();
+    let pedalDown = null;
+    const partName = doc.querySelector(`score-part[id="${part.getAttribute("id")}"] part-name`)?.textContent.trim();
+    const partLabel = `${partIndex+1}` + (partName ? ` "${partName}"` : "");
+
+    // One <measure>: moves the part's cursor and collects its notes, meters and annotations
+    function readMeasure(meas) {
+      const measStart = timeCells;
+      let measEnd = timeCells;
+      // Snapping to the divisions grid keeps tuplet onsets exact instead of accumulating float drift
+      const advance = (q) => {
+        timeCells = Math.max(measStart, Math.round((timeCells + q) * partDivisions) / partDivisions);
+        measEnd = Math.max(measEnd, timeCells);
+      };
+      for (const el of Array.from(meas.children)) {
+        if (el.tagName === "backup" || el.tagName === "forward") {
+          const q = parseInt(el.querySelector("duration")?.textContent || "0", 10) / partDivisions;
+          advance(el.tagName === "backup" ? -q : q);
+          continue;
+        }
+        if (el.tagName === "attributes") {
+          const divEl = el.querySelector("divisions");
+          if (divEl) partDivisions = parseInt(divEl.textContent||"0",10) || partDivisions;
+          // Meter (taken from the first part; the others repeat it)
+          const beats = el.querySelector("time beats");
+          const beatType = el.querySelector("time beat-type");
+          if (beats && beatType) {
+            curTS = [parseInt(beats.textContent||"4",10), parseInt(beatType.textContent||"4",10)];
+            if (partIndex === 0) meters.push({ cell: measStart, time_signature: curTS });
+          }
+          continue;
+        }
+        if (el.tagName === "harmony") {
+          const chord = harmonyToChord(el);
+          const at = Math.max(0, timeCells + parseInt(el.querySelector(":scope > offset")?.textContent || "0", 10) / partDivisions);
+          if (chord) annotations.chords.push(Object.assign({ cell: at }, chord));
+          continue;
+        }
+        if (el.tagName === "direction" || el.tagName === "sound") {
+          // Tempo
+          const sound = el.tagName === "sound" ? el : el.querySelector("sound[tempo]");
+          if (sound && sound.hasAttribute("tempo")) tempos.push({ cell: timeCells, bpm: parseFloat(sound.getAttribute("tempo")) });
+          if (el.tagName === "sound") continue;
+          // Pedal, dynamics, rehearsal marks and words; <offset> shifts them off the cursor
+          const at = Math.max(0, timeCells + parseInt(el.querySelector(":scope > offset")?.textContent || "0", 10) / partDivisions);
+          el.querySelectorAll("direction-type > *").forEach(d => {
+            if (d.tagName === "pedal") {
+              const type = d.getAttribute("type");
+              if ((type === "stop" || type === "change") && pedalDown !== null) annotations.pedal.push({ start: pedalDown, end: at });
+              if (type === "stop") pedalDown = null;
+              if (type === "start" || type === "change") pedalDown = at;
+            } else if (d.tagName === "dynamics") {
+              const mark = d.firstElementChild;
+              if (mark) annotations.dynamics.push({ cell: at, mark: mark.tagName === "other-dynamics" ? mark.textContent.trim() : mark.tagName });
+            } else if ((d.tagName === "rehearsal" || d.tagName === "words") && d.textContent.trim()) {
+              annotations.markers.push({ cell: at, text: d.textContent.trim(), kind: d.tagName });
+            }
+          });
+          continue;
+        }
+        if (el.tagName !== "note") continue;
+        const n = el;
+        const isRest = !!n.querySelector("rest");
+        let pitchMidi = null;
+        if (!isRest) {
+          const step = n.querySelector("pitch step")?.textContent || "C";
+          const alter = parseInt(n.querySelector("pitch alter")?.textContent || "0", 10);
+          const octave = parseInt(n.querySelector("pitch octave")?.textContent || "4", 10);
+          const stepMap = {C:0,D:2,E:4,F:5,G:7,A:9,B:11};
+          if (!(step in stepMap)) throw new Error(`unknown pitch step "${step}"`);
+          pitchMidi = (octave + 1)*12 + stepMap[step] + alter;
+          if (!(pitchMidi >= 0 && pitchMidi <= 127)) throw new Error(`pitch ${step}${octave} is outside the MIDI range`);
+          globalMin = Math.min(globalMin, pitchMidi);
+          globalMax = Math.max(globalMax, pitchMidi);
+        }
+
+        const durDiv = parseInt(n.querySelector("duration")?.textContent || "0", 10);
+        if (!(durDiv >= 0)) throw new Error(`note duration "${n.querySelector("duration")?.textContent}" is not a number`);
+        const durCells = durDiv / partDivisions;
+        const voice = n.querySelector("voice")?.textContent.trim() || "1";
+        const staff = parseInt(n.querySelector("staff")?.textContent || "1", 10);
+        const voiceKey = `${staff}/${voice}`;
+        const isChordTone = !!n.querySelector("chord");
+        const grace = n.querySelector("grace");
+        let start = timeCells;
+        if (grace) {
+          // Grace notes take no time: they are drawn as ornaments at the onset of the note they lead into
+          if (!isRest) events.push({ type:"grace", pitch:pitchMidi, start, dur:0, vel:96, voice, staff, slash: grace.getAttribute("slash") === "yes" });
+          continue;
+        }
+        if (isChordTone) {
+          start = voiceOnset.has(voiceKey) ? voiceOnset.get(voiceKey) : lastOnset;
+        } else {
+          voiceOnset.set(voiceKey, start);
+          lastOnset = start;
+          advance(durCells);
+        }
+
+        if (isRest) continue;
+
+        const ev = { type:"note", pitch:pitchMidi, start, dur:durCells, vel:96, voice, staff };
+        const timeMod = n.querySelector("time-modification");
+        if (timeMod) {
+          ev.tuplet = [parseInt(timeMod.querySelector("actual-notes")?.textContent || "3", 10), parseInt(timeMod.querySelector("normal-notes")?.textContent || "2", 10)];
+        }
+        maxEndCells = Math.max(maxEndCells, start + durCells);
+
+        // Ties (<tie> for playback, <tied> for notation) merge into the first note, across barlines too
+        const tieStart = n.querySelector('tie[type="start"], tied[type="start"]');
+        const tieStop  = n.querySelector('tie[type="stop"], tied[type="stop"]');
+        const pKey = String(pitchMidi);
+        if (tieStop && tieOpen.has(pKey)) {
+          const first = tieOpen.get(pKey);
+          first.dur = Math.max(first.dur, start + durCells - first.start);
+          if (!tieStart) tieOpen.delete(pKey);
+          continue;
+        }
+        if (tieStart) tieOpen.set(pKey, ev);
+        events.push(ev);
+      }
+
+      // The next measure starts after the longest voice, wherever <backup> left the cursor
+      timeCells = measEnd;
+      voiceOnset.clear();
+
+      // Pickups and irregular measures shift every later barline: restart the meter grid after them
+      const nominal = curTS[0] * (4/curTS[1]);
+      if (partIndex === 0 && Math.abs((timeCells - measStart) - nominal) > 1e-6) {
+        meters.push({ cell: timeCells, time_signature: curTS });
+      }
+    }
+
+    measures.forEach((meas, mi) => {
+      onProgress((partIndex + mi / measures.length) / parts.length, `part ${partIndex+1} of ${parts.length}, measure ${mi+1} of ${measures.length}`);
+      try { readMeasure(meas); }
+      catch (err) { throw importError(err, { part: partLabel, measure: meas.getAttribute("number") || String(mi+1) }); }
+    });
+
+    if (pedalDown !== null) annotations.pedal.push({ start: pedalDown, end: timeCells });
+    tracks.push({ name: part.getAttribute("id") || "Part", color: trackColor(partIndex), events });
+  });
+
+  if (globalMin>globalMax) { globalMin=60; globalMax=72; }
+  const columns = buildColumns(globalMin, globalMax);
+
+  const cellPerQuarter = cellPerQuarterFor(tracks.flatMap(tr => tr.events.filter(ev => ev.type === "note").map(ev => ev.start)));
+  tracks.forEach(tr => tr.events.forEach(ev => { ev.start *= cellPerQuarter; ev.dur *= cellPerQuarter; }));
+  const tempoMap = normalizeTempoMap(tempos.map(t => ({ cell: t.cell * cellPerQuarter, bpm: t.bpm })));
+  const meterMap = normalizeMeterMap(meters.map(m => ({ cell: m.cell * cellPerQuarter, time_signature: m.time_signature })));
+  annotations.pedal.forEach(p => { p.start *= cellPerQuarter; p.end *= cellPerQuarter; });
+  annotations.markers.concat(annotations.dynamics, annotations.chords).forEach(a => { a.cell *= cellPerQuarter; });
+
+  const ekj = {
+    version: EKJ_VERSION,
+    metadata: { title: name, composer:"", tempo_bpm: tempoMap[0].bpm, time_signature: meterMap[0].time_signature, tempo_map: tempoMap, meter_map: meterMap, ppq: divisions, transpose_semitones: 0 },
+    layout: { mode:"classic", pitch_min:globalMin, pitch_max:globalMax, cell_per_quarter: cellPerQuarter, columns },
+    tracks, annotations: normalizeAnnotations(annotations)
+  };
+  setKey(ekj, musicXmlKey(doc, ekj));
+  assignHands(ekj);
+  addEnvelopesAndSubcells(ekj);
+  return ekj;
+}
+
+// The score's first <key>; without a <mode> the notes decide between the relative major and minor
+function musicXmlKey(doc, ekj) {
+  const keyEl = doc.querySelector("part attributes key");
+  const fifths = parseInt(keyEl?.querySelector("fifths")?.textContent || "", 10);
+  if (!isFinite(fifths)) return null;
+  const modeText = keyEl.querySelector("mode")?.textContent.trim();
+  const mode = { ionian: "major", aeolian: "minor" }[modeText] || modeText;
+  if (mode in MODE_FIFTHS) return keyFromFifths(fifths, mode, "musicxml");
+  const pair = [keyFromFifths(fifths, "major", "musicxml"), keyFromFifths(fifths, "minor", "musicxml")];
+  return detectKey(ekj, pair) || pair[0];
+}
+
+// .mxl is a zip: META-INF/container.xml names the score, otherwise the first .xml entry is used
+async function mxlArrayBufferToEKJ(arrayBuf, name="MXL Import", onProgress = noProgress) {
+  const JSZip = dep("JSZip");
+  const XmlParser = dep("DOMParser");
+  let zip;
+  try { zip = await JSZip.loadAsync(arrayBuf); }
+  catch (err) { throw new EKJImportError(`not a readable .mxl archive (${(err && err.message) || err})`); }
+  let xmlPath = null;
+  if (zip.files["META-INF/container.xml"]) {
+    const containerText = await zip.files["META-INF/container.xml"].async("text");
+    const dom = new XmlParser().parseFromString(containerText, "text/xml");
+    const rootfile = dom.querySelector("rootfile");
+    xmlPath = rootfile?.getAttribute("full-path");
+  }
+  if (!xmlPath) {
+    const cand = Object.keys(zip.files).find(k => k.toLowerCase().endsWith(".xml"));
+    xmlPath = cand;
+  }
+  if (!xmlPath || !zip.files[xmlPath]) throw new EKJImportError(xmlPath ? `"${xmlPath}" named in META-INF/container.xml is missing` : "no MusicXML found inside .mxl");
+  const xmlText = await zip.files[xmlPath].async("text");
+  onProgress(0.1, "archive unpacked");
+  return musicXmlTextToEKJ(xmlText, name, (f, detail) => onProgress(0.1 + 0.9*f, detail));
+}
+
+// ---------- ABC Path ----------
+// ABC notation (abcnotation.com standard 2.1), first tune of the text. Every voice (V:) becomes a track and
+// repeats with first/second endings are played out, so the timeline is what a player plays. Two passes: the
+// music lines fill each voice's measures with items of known length, then the measures are laid out in
+// repeat order. Positions are in quarters until cell_per_quarter is known, as in the MusicXML path.
+const ABC_NOTE_PC = { C:0, D:2, E:4, F:5, G:7, A:9, B:11 };
+const ABC_KEY_FIFTHS = { C:0, G:1, D:2, A:3, E:4, B:5, F:-1 };
+const ABC_MODES = { "":"major", maj:"major", ion:"major", m:"minor", min:"minor", aeo:"minor", mix:"mixolydian",
+  dor:"dorian", phr:"phrygian", lyd:"lydian", loc:"locrian" };
+const ABC_DECORATIONS = ".~HLMOPSTuv";
+const ABC_GRID = 6720; // positions snap to 1/6720 quarter (2^6·3·5·7), exact for every tuplet and dotted value
+
+// "3/4" -> 0.75
+function abcFraction(text) {
+  const m = /^\s*(\d+)\s*\/\s*(\d+)/.exec(text);
+  return m && +m[2] ? +m[1] / +m[2] : null;
+}
+
+// M: field -> [beats, beat type]; "C" and "C|" are common and cut time, "2+3/8" adds up
+function abcMeter(value) {
+  const v = value.trim();
+  if (v === "C") return [4,4];
+  if (v === "C|") return [2,2];
+  const m = /^(\d+(?:\+\d+)*)\s*\/\s*(\d+)/.exec(v);
+  return m ? [m[1].split("+").reduce((a, n) => a + +n, 0), +m[2]] : null;
+}
+
+// Q:1/4=120, Q:"Allegro" 3/8=60, Q:1/8 3/8=40 (beats add up) or a bare number of L: units -> quarters/min
+function abcTempo(value, unit) {
+  const v = value.replace(/"[^"]*"/g, " ");
+  const m = /((?:\d+\/\d+\s*)+)=\s*(\d+(?:\.\d+)?)/.exec(v);
+  if (m) return m[1].trim().split(/\s+/).reduce((a, f) => a + abcFraction(f), 0) * 4 * +m[2];
+  const bare = /^\s*(\d+(?:\.\d+)?)\s*$/.exec(v);
+  return bare ? +bare[1] * unit : null;
+}
+
+// K: field -> { acc: semitone alteration per note letter, key: metadata.key or null }: tonic and mode ("Am",
+// "D dor", "F#mix") plus explicit accidentals ("K:D =c ^g"); "K:none" and bagpipe keys have no signature.
+// null when the field names no key at all (only a clef, as in "K:bass" or "K:clef=treble").
+function abcKeySignature(value) {
+  const acc = {};
+  let key = null;
+  const tokens = value.trim().split(/\s+/);
+  const head = /^([A-G])([#b]?)([A-Za-z]*)$/.exec(tokens[0] || "");
+  if (head) {
+    const modeText = (head[3] || (/^[A-Za-z]+$/.test(tokens[1] || "") ? tokens[1] : "")).toLowerCase();
+    const mode = ABC_MODES[modeText === "m" ? "m" : modeText.slice(0, 3)] || "major";
+    const fifths = ABC_KEY_FIFTHS[head[1]] + (head[2] === "#" ? 7 : head[2] === "b" ? -7 : 0) + MODE_FIFTHS[mode];
+    key = keyFromFifths(fifths, mode, "abc");
+    // Modes of the extreme keys go past seven (C# lydian is F## and six sharps)
+    "FCGDAEB".split("").forEach((l, i) => { if (fifths > i) acc[l] = Math.ceil((fifths - i) / 7); });
+    "BEADGCF".split("").forEach((l, i) => { if (-fifths > i) acc[l] = -Math.ceil((-fifths - i) / 7); });
+  }
+  tokens.forEach(t => {
+    const m = /^([_=^]+)([A-Ga-g])$/.exec(t);
+    if (m) acc[m[2].toUpperCase()] = abcAccidental(m[1]);
+  });
+  if (!head && !Object.keys(acc).length && !/^(none|H[Pp])$/.test(tokens[0] || "")) return null;
+  return { acc, key };
+}
+
+function abcAccidental(text) {
+  return { "^":1, "^^":2, "_":-1, "__":-2, "=":0 }[text];
+}
+
+// Length suffix: "2", "3/2", "/", "//", "/4" -> multiple of the unit note length
+function abcLength(text) {
+  const m = /^(\d*)((?:\/\d*)*)$/.exec(text);
+  let len = m[1] ? +m[1] : 1;
+  (m[2].match(/\/\d*/g) || []).forEach(s => { len /= s.length > 1 ? +s.slice(1) : 2; });
+  if (!(len > 0 && isFinite(len))) throw new Error(`note length "${text}" is not valid`);
+  return len;
+}
+
+// Tuplet (p:q:r: p notes in the time of q for the next r notes; q defaults by p and the meter
+function abcTuplet(spec, meter) {
+  const [p, q, r] = spec.split(":").map(n => (n ? +n : 0));
+  const compound = meter && meter[0] % 3 === 0 && meter[0] > 3;
+  const defaultQ = { 2:3, 3:2, 4:3, 6:2, 8:3 }[p] || (compound ? 3 : 2);
+  return { p, q: q || defaultQ, left: r || p };
+}
+
+// Repeat order of a voice's measures: |: ... :| plays twice, or until its highest ending ([1,2 ... [3 is
+// three passes); endings are picked by the pass
+function abcUnfoldRepeats(measures) {
+  const order = [];
+  let start = 0, pass = 1;
+  // Highest ending number of the section starting at `from` (up to the next |: or the end of its endings)
+  const passesFrom = (from) => {
+    let most = 2;
+    for (let j = from; j < measures.length; j++) {
+      if (j > from && (measures[j].repeatStart || (!measures[j].ending && measures[j-1].ending))) break;
+      if (measures[j].ending) most = Math.max(most, ...measures[j].ending);
+    }
+    return most;
+  };
+  for (let i = 0; i < measures.length; i++) {
+    const m = measures[i];
+    if (m.repeatStart && i !== start) { start = i; pass = 1; }
+    // Leaving the endings: a later :| repeats from here
+    if (!m.ending && i > 0 && measures[i-1].ending && pass > 1) { start = i; pass = 1; }
+    if (m.ending && !m.ending.includes(pass)) continue;
+    order.push(i);
+    if (order.length > measures.length * 8) break;
+    if (m.repeatEnd && pass < passesFrom(start)) { pass++; i = start - 1; }
+    else if (m.repeatEnd) { pass = 1; start = i + 1; }
+  }
+  return order;
+}
+
+// "Am7/G" -> { root, quality, bass }; annotations ("^text", "<text" ...) and anything else -> null
+function abcChordSymbol(text) {
+  const m = /^([A-G])([#b]?)([^/]*)(?:\/([A-G])([#b]?))?$/.exec(text.trim());
+  if (!m) return null;
+  const pc = (step, alter) => (ABC_NOTE_PC[step] + (alter === "#" ? 1 : alter === "b" ? -1 : 0) + 12) % 12;
+  const chord = { root: pc(m[1], m[2]), quality: m[3] };
+  if (m[4]) chord.bass = pc(m[4], m[5]);
+  return chord;
+}
+
+function abcTextToEKJ(text, name="ABC Import", onProgress = noProgress) {
+  // The first tune: from its X: up to the next one
+  const lines = text.replace(/\r\n?/g, "\n").split("\n");
+  if (!lines.some(l => /^[XK]:/.test(l))) throw new EKJImportError("no ABC tune found");
+  const firstX = lines.findIndex(l => /^X:/.test(l));
+  const nextX = firstX < 0 ? -1 : lines.findIndex((l, i) => i > firstX && /^X:/.test(l));
+  const tuneLines = lines.slice(Math.max(0, firstX), nextX < 0 ? lines.length : nextX);
+
+  const tune = { title: "", composer: "", meter: [4,4], unit: null, tempo: null, key: { acc: {}, key: null } };
+  const voices = new Map();
+  let voice = null;
+  let inBody = false;
+
+  function voiceOf(id) {
+    if (!voices.has(id)) {
+      voices.set(id, { id, name: "", measures: [{ items: [], repeatStart: false, repeatEnd: false, ending: null }],
+        key: null, unit: null, meter: null, barAcc: {}, tuplet: null, broken: 1, ending: null, graces: null });
+    }
+    return voices.get(id);
+  }
+  const unitOf = (v) => v.unit || tune.unit;
+  const meterOf = (v) => v.meter === null ? tune.meter : v.meter;
+  const measureOf = (v) => v.measures[v.measures.length - 1];
+
+  // Header fields set the tune's defaults; in the body M:, L:, Q: and K: change the current voice from there on
+  function field(letter, value) {
+    if (letter === "T" && !inBody && !tune.title) tune.title = value.trim();
+    else if (letter === "C" && !tune.composer) tune.composer = value.trim();
+    else if (letter === "M") {
+      const meter = value.trim() === "none" ? false : abcMeter(value);
+      if (meter === null) throw new Error(`meter "${value.trim()}" is not valid`);
+      if (!voice) tune.meter = meter;
+      else { voice.meter = meter; if (meter) measureOf(voice).items.push({ kind: "meter", time_signature: meter }); }
+    } else if (letter === "L") {
+      const unit = abcFraction(value);
+      if (!unit) throw new Error(`unit note length "${value.trim()}" is not valid`);
+      if (!voice) tune.unit = unit * 4;
+      else voice.unit = unit * 4;
+    } else if (letter === "Q") {
+      if (!voice) tune.tempo = value;
+      else {
+        const bpm = abcTempo(value, unitOf(voice));
+        if (bpm) measureOf(voice).items.push({ kind: "tempo", bpm });
+      }
+    } else if (letter === "K") {
+      // K: ends the header; a clef-only K: keeps the signature
+      const sig = abcKeySignature(value);
+      if (sig && !voice) tune.key = sig;
+      else if (sig) voice.key = sig;
+      if (!inBody) startBody();
+    } else if (letter === "V") {
+      const id = value.trim().split(/\s+/)[0];
+      if (!id) return;
+      const v = voiceOf(id);
+      const label = /\b(?:name|nm)="([^"]*)"/.exec(value);
+      if (label && !v.name) v.name = label[1];
+      if (inBody) voice = v;
+    }
+  }
+
+  function startBody() {
+    inBody = true;
+    // Without L: the unit is an eighth, or a 16th for meters under 3/4
+    if (!tune.unit) tune.unit = tune.meter && tune.meter[0] / tune.meter[1] < 0.75 ? 0.25 : 0.5;
+    voice = voices.size ? voices.values().next().value : null;
+  }
+
+  function barline(bar) {
+    const m = measureOf(voice);
+    if (bar.startsWith(":")) m.repeatEnd = true;
+    voice.barAcc = {};
+    if (bar.startsWith(":") || bar.endsWith(":") || /\|\||\|\]|\[\|/.test(bar)) voice.ending = null;
+    voice.measures.push({ items: [], repeatStart: bar.endsWith(":"), repeatEnd: false, ending: voice.ending });
+  }
+
+  function startEnding(spec) {
+    const nums = [];
+    spec.split(",").forEach(part => {
+      const [a, b] = part.split("-").map(Number);
+      for (let n = a; n <= (b || a); n++) nums.push(n);
+    });
+    voice.ending = nums;
+    const m = measureOf(voice);
+    if (!m.items.some(it => it.kind === "notes")) m.ending = nums;
+  }
+
+  // One note "^c'2" -> { pitch, len }; bar accidentals carry to later notes of the same pitch in the measure
+  function readNote(acc, letter, octave, length) {
+    const natural = ABC_NOTE_PC[letter.toUpperCase()] + (letter === letter.toLowerCase() ? 72 : 60)
+      + 12 * ((octave.match(/'/g) || []).length - (octave.match(/,/g) || []).length);
+    if (acc) voice.barAcc[natural] = abcAccidental(acc);
+    const key = voice.key || tune.key;
+    const alter = natural in voice.barAcc ? voice.barAcc[natural] : (key.acc[letter.toUpperCase()] || 0);
+    const pitch = natural + alter;
+    if (!(pitch >= 0 && pitch <= 127)) throw new Error(`note ${acc}${letter}${octave} is outside the MIDI range`);
+    return { pitch, len: abcLength(length) };
+  }
+
+  // A note, chord or rest of `len` units; broken rhythm and tuplets scale it
+  function addNotes(pitches, len, tie) {
+    let dur = len * unitOf(voice) * voice.broken;
+    voice.broken = 1;
+    const item = { kind: "notes", pitches, dur, ties: new Set(tie ? pitches : []), graces: voice.graces || [] };
+    voice.graces = null;
+    if (voice.tuplet) {
+      item.dur = dur * voice.tuplet.q / voice.tuplet.p;
+      item.tuplet = [voice.tuplet.p, voice.tuplet.q];
+      if (--voice.tuplet.left <= 0) voice.tuplet = null;
+    }
+    measureOf(voice).items.push(item);
+    return item;
+  }
+
+  const NOTE = /^([_=^]*)([A-Ga-g])([,']*)(\d*(?:\/\d*)*)/;
+  function readMusic(line) {
+    if (!voice) voice = voiceOf("1");
+    let i = 0;
+    let last = null;
+    const rest = () => line.slice(i);
+    const closing = (open, close) => {
+      const end = line.indexOf(close, i + 1);
+      if (end < 0) throw new Error(`unclosed ${open}`);
+      const inner = line.slice(i + 1, end);
+      i = end + 1;
+      return inner;
+    };
+    while (i < line.length) {
+      const c = line[i];
+      let m;
+      if (c === "%") break;
+      if (" \t`y\\".includes(c)) { i++; continue; }
+      if (c === '"') {
+        const chord = abcChordSymbol(closing('"', '"'));
+        if (chord) measureOf(voice).items.push(Object.assign({ kind: "chord" }, chord));
+        continue;
+      }
+      if (c === "!" || c === "+") {
+        const deco = closing(c, c);
+        if (DYNAMIC_MARKS.includes(deco)) measureOf(voice).items.push({ kind: "dynamic", mark: deco });
+        continue;
+      }
+      if (ABC_DECORATIONS.includes(c)) { i++; continue; }
+      if (c === "{") {
+        const inner = closing("{", "}");
+        const slash = inner.startsWith("/");
+        voice.graces = [];
+        const re = new RegExp(NOTE.source.slice(1), "g");
+        let g;
+        while ((g = re.exec(inner))) voice.graces.push({ pitch: readNote(g[1], g[2], g[3], g[4]).pitch, slash });
+        continue;
+      }
+      if ((m = /^\((\d+(?::\d*){0,2})/.exec(rest()))) {
+        voice.tuplet = abcTuplet(m[1], meterOf(voice));
+        i += m[0].length;
+        continue;
+      }
+      if (c === "(" || c === ")") { i++; continue; }
+      if ((m = /^\[([A-Za-z]):([^\]]*)\]/.exec(rest()))) {
+        field(m[1], m[2]);
+        i += m[0].length;
+        continue;
+      }
+      if ((m = /^(?::*\[?\|[|\]]*:*|::+)(\[?(\d+(?:[,-]\d+)*))?/.exec(rest())) && m[0].length) {
+        barline(m[0].slice(0, m[0].length - (m[1] || "").length));
+        if (m[2]) startEnding(m[2]);
+        i += m[0].length;
+        last = null;
+        continue;
+      }
+      if ((m = /^\[(\d+(?:[,-]\d+)*)/.exec(rest()))) {
+        startEnding(m[1]);
+        i += m[0].length;
+        continue;
+      }
+      if (c === "[") {
+        const end = line.indexOf("]", i);
+        if (end < 0) throw new Error("unclosed [ chord");
+        const re = new RegExp(NOTE.source.slice(1) + "(-?)", "g");
+        const inner = line.slice(i + 1, end);
+        const notes = [];
+        const tied = [];
+        let n;
+        while ((n = re.exec(inner))) {
+          const note = readNote(n[1], n[2], n[3], n[4]);
+          notes.push(note);
+          if (n[5]) tied.push(note.pitch);
+        }
+        i = end + 1;
+        const after = /^(\d*(?:\/\d*)*)(-?)/.exec(rest());
+        i += after[0].length;
+        if (!notes.length) continue;
+        last = addNotes(notes.map(nt => nt.pitch), notes[0].len * abcLength(after[1]), !!after[2]);
+        tied.forEach(p => last.ties.add(p));
+        continue;
+      }
+      if ((m = NOTE.exec(rest()))) {
+        const note = readNote(m[1], m[2], m[3], m[4]);
+        i += m[0].length;
+        const tie = line[i] === "-";
+        if (tie) i++;
+        last = addNotes([note.pitch], note.len, tie);
+        continue;
+      }
+      if ((m = /^([zx])(\d*(?:\/\d*)*)/.exec(rest()))) {
+        last = addNotes([], abcLength(m[2]), false);
+        i += m[0].length;
+        continue;
+      }
+      // Whole-measure rests: Z4 is four measures
+      if ((m = /^([ZX])(\d*)/.exec(rest()))) {
+        const meter = meterOf(voice) || [4,4];
+        const bars = m[2] ? +m[2] : 1;
+        for (let b = 0; b < bars; b++) {
+          if (b) barline("|");
+          measureOf(voice).items.push({ kind: "notes", pitches: [], dur: meter[0] * 4 / meter[1], ties: new Set(), graces: [] });
+        }
+        i += m[0].length;
+        continue;
+      }
+      // Broken rhythm: a>b is dotted-then-short, a<b the reverse; >> and >>> go further
+      if ((m = /^(>+|<+)/.exec(rest()))) {
+        if (last) {
+          const short = 1 / Math.pow(2, m[1].length);
+          const first = m[1][0] === ">" ? 2 - short : short;
+          last.dur *= first;
+          voice.broken = 2 - first;
+        }
+        i += m[0].length;
+        continue;
+      }
+      if (c === "-") {
+        if (last) last.pitches.forEach(p => last.ties.add(p));
+        i++;
+        continue;
+      }
+      if (c === "&") throw new Error("voice overlay (&) is not supported; write the second voice as a V: voice");
+      i++;
+    }
+  }
+
+  tuneLines.forEach((raw, li) => {
+    onProgress(0.8 * li / tuneLines.length, `line ${li+1} of ${tuneLines.length}`);
+    try {
+      if (/^%/.test(raw)) return;
+      const f = /^([A-Za-z]):(.*)$/.exec(raw);
+      if (f) {
+        if (!inBody || "KLMQV".includes(f[1])) field(f[1], f[2].replace(/%.*$/, ""));
+        return;
+      }
+      if (!raw.trim()) return;
+      // Music without a K: line still reads with the header so far
+      if (!inBody) startBody();
+      readMusic(raw);
+    } catch (err) {
+      throw importError(err, { line: String(Math.max(0, firstX) + li + 1) });
+    }
+  });
+  if (!inBody) throw new EKJImportError("no ABC tune found (no K: line or music)");
+
+  // Lay out every voice along its repeat order
+  const tracks = [];
+  const tempos = [];
+  const meters = [];
+  const annotations = { pedal:[], markers:[], dynamics:[], chords:[] };
+  let globalMin = 127, globalMax = 0;
+  const headerTempo = tune.tempo && abcTempo(tune.tempo, tune.unit);
+  if (headerTempo) tempos.push({ cell: 0, bpm: headerTempo });
+  if (tune.meter) meters.push({ cell: 0, time_signature: tune.meter });
+  Array.from(voices.values()).forEach((v, vi) => {
+    const events = [];
+    let t = 0;
+    let ties = new Map();
+    let meter = tune.meter;
+    abcUnfoldRepeats(v.measures).forEach(mi => {
+      const measStart = t;
+      v.measures[mi].items.forEach(item => {
+        if (item.kind === "chord") annotations.chords.push({ cell: t, root: item.root, quality: item.quality, bass: item.bass });
+        else if (item.kind === "dynamic") annotations.dynamics.push({ cell: t, mark: item.mark });
+        else if (item.kind === "tempo") { if (vi === 0) tempos.push({ cell: t, bpm: item.bpm }); }
+        else if (item.kind === "meter") { meter = item.time_signature; if (vi === 0) meters.push({ cell: t, time_signature: meter }); }
+        else {
+          item.graces.forEach(g => events.push({ type: "grace", pitch: g.pitch, start: t, dur: 0, vel: 96, slash: g.slash }));
+          // A tie carries on the note that ends right here
+          const tied = new Map();
+          item.pitches.forEach(pitch => {
+            let ev = ties.get(pitch);
+            if (ev && Math.abs(ev.start + ev.dur - t) < 1e-6) ev.dur += item.dur;
+            else {
+              ev = { type: "note", pitch, start: t, dur: item.dur, vel: 96 };
+              if (item.tuplet) ev.tuplet = item.tuplet.slice();
+              events.push(ev);
+            }
+            if (item.ties.has(pitch)) tied.set(pitch, ev);
+            globalMin = Math.min(globalMin, pitch);
+            globalMax = Math.max(globalMax, pitch);
+          });
+          ties = tied;
+          t = Math.round((t + item.dur) * ABC_GRID) / ABC_GRID;
+        }
+      });
+      // Pickups and irregular measures restart the barline grid, as in the MusicXML path
+      if (vi === 0 && meter && t > measStart && Math.abs((t - measStart) - meter[0] * 4 / meter[1]) > 1e-6) {
+        meters.push({ cell: t, time_signature: meter });
+      }
+    });
+    // Voices declared in the header but never used stay out
+    if (!events.length) return;
+    const label = v.name || (voices.size > 1 ? `Voice ${v.id}` : tune.title || "Melody");
+    tracks.push({ name: label, color: trackColor(tracks.length), events });
+  });
+  annotations.chords.forEach(c => { if (c.bass === undefined) delete c.bass; });
+  if (!tracks.length) throw new EKJImportError("the ABC tune has no notes");
+  onProgress(0.9, "laying out");
+
+  const columns = buildColumns(globalMin, globalMax);
+  const cellPerQuarter = cellPerQuarterFor(tracks.flatMap(tr => tr.events.filter(ev => ev.type === "note").map(ev => ev.start)));
+  tracks.forEach(tr => tr.events.forEach(ev => { ev.start *= cellPerQuarter; ev.dur *= cellPerQuarter; }));
+  const tempoMap = normalizeTempoMap(tempos.map(tp => ({ cell: tp.cell * cellPerQuarter, bpm: tp.bpm })));
+  const meterMap = normalizeMeterMap(meters.map(m => ({ cell: m.cell * cellPerQuarter, time_signature: m.time_signature })));
+  annotations.dynamics.concat(annotations.chords).forEach(a => { a.cell *= cellPerQuarter; });
+
+  const ekj = {
+    version: EKJ_VERSION,
+    metadata: { title: tune.title || name, composer: tune.composer, tempo_bpm: tempoMap[0].bpm, time_signature: meterMap[0].time_signature, tempo_map: tempoMap, meter_map: meterMap, ppq: 480, transpose_semitones: 0 },
+    layout: { mode:"classic", pitch_min:globalMin, pitch_max:globalMax, cell_per_quarter: cellPerQuarter, columns },
+    tracks, annotations: normalizeAnnotations(annotations)
+  };
+  setKey(ekj, tune.key.key);
+  assignHands(ekj);
+  addEnvelopesAndSubcells(ekj);
+  return ekj;
+}
+
+// Picks the importer from the file extension (EasyKey JSON only as .ekj.json); returns { kind, ekj } or null for unsupported types
+async function bufferToEKJ(fileName, arrayBuf, onProgress = noProgress) {
+  const ext = fileName.toLowerCase().split('.').pop();
+  const text = () => new TextDecoder().decode(new Uint8Array(arrayBuf));
+  if (ext === "mid" || ext === "midi") return { kind: "MIDI", ekj: midiArrayBufferToEKJ(arrayBuf, onProgress) };
+  if (ext === "musicxml" || ext === "xml") return { kind: "MusicXML", ekj: await musicXmlTextToEKJ(text(), fileName, onProgress) };
+  if (/\.ekj\.json$/i.test(fileName)) return { kind: "EKJ", ekj: ekjTextToEKJ(text()) };
+  if (ext === "mxl") return { kind: "MXL", ekj: await mxlArrayBufferToEKJ(arrayBuf, fileName, onProgress) };
+  if (ext === "abc") return { kind: "ABC", ekj: abcTextToEKJ(text(), fileName, onProgress) };
+  return null;
+}
+
+// ---------- Tempo & Meter Maps ----------
+// Map entries are positioned in cells (the same unit as event start/dur) and sorted by position.
+// The first entry always sits at cell 0 so every cell has a tempo and a meter.
+function normalizeTempoMap(entries) {
+  const out = [];
+  entries.filter(e => isFinite(e.cell) && e.bpm > 0).sort((a,b) => a.cell - b.cell).forEach(e => {
+    const prev = out[out.length-1];
+    if (prev && Math.abs(prev.cell - e.cell) < 1e-6) { prev.bpm = e.bpm; return; }
+    if (prev && prev.bpm === e.bpm) return;
+    out.push({ cell: e.cell, bpm: e.bpm });
+  });
+  if (!out.length || out[0].cell > 1e-6) out.unshift({ cell: 0, bpm: out.length ? out[0].bpm : 120 });
+  out[0].cell = 0;
+  return out;
+}
+
+function normalizeMeterMap(entries) {
+  // Repeated signatures are kept: they restart the barline grid (pickups, irregular measures).
+  const out = [];
+  entries.filter(e => isFinite(e.cell) && e.time_signature && e.time_signature[0] > 0 && e.time_signature[1] > 0)
+    .sort((a,b) => a.cell - b.cell).forEach(e => {
+      const prev = out[out.length-1];
+      const ts = [e.time_signature[0], e.time_signature[1]];
+      if (prev && Math.abs(prev.cell - e.cell) < 1e-6) { prev.time_signature = ts; return; }
+      out.push({ cell: e.cell, time_signature: ts });
+    });
+  if (!out.length || out[0].cell > 1e-6) out.unshift({ cell: 0, time_signature: out.length ? out[0].time_signature.slice() : [4,4] });
+  out[0].cell = 0;
+  return out;
+}
+
+function tempoMapOf(ekj) {
+  const m = ekj.metadata || {};
+  return (Array.isArray(m.tempo_map) && m.tempo_map.length) ? m.tempo_map : [{ cell: 0, bpm: m.tempo_bpm || 120 }];
+}
+
+function meterMapOf(ekj) {
+  const m = ekj.metadata || {};
+  return (Array.isArray(m.meter_map) && m.meter_map.length) ? m.meter_map : [{ cell: 0, time_signature: m.time_signature || [4,4] }];
+}
+
+// Barlines up to totalCells: [{ cell, number, time_signature, meterChange }]
+function measureLines(ekj, totalCells) {
+  const cpq = ekj.layout.cell_per_quarter || 1;
+  const meters = meterMapOf(ekj);
+  const lines = [];
+  let number = 1;
+  meters.forEach((m, i) => {
+    const [num, den] = m.time_signature;
+    const cellsPerMeasure = num * (4/den) * cpq;
+    const until = (i+1 < meters.length) ? meters[i+1].cell : totalCells + 1e-6;
+    const prevTS = i > 0 ? meters[i-1].time_signature : null;
+    const meterChange = !prevTS || prevTS[0] !== num || prevTS[1] !== den;
+    for (let k=0; m.cell + k*cellsPerMeasure < until - 1e-6; k++) {
+      const cell = m.cell + k*cellsPerMeasure;
+      if (lines.length && Math.abs(lines[lines.length-1].cell - cell) < 1e-6) continue;
+      lines.push({ cell, number: number++, time_signature: m.time_signature, meterChange: meterChange && k === 0 });
+    }
+  });
+  return lines;
+}
+
+// Beat and subdivision positions between barlines: [{ cell, beat, label }].
+// Compound meters (6/8, 9/8, 12/8) count dotted-quarter beats; "&" marks the half beat when the grid is that fine.
+function beatTicks(ekj, totalCells) {
+  const cpq = ekj.layout.cell_per_quarter || 1;
+  const bars = measureLines(ekj, totalCells);
+  const ticks = [];
+  bars.forEach((b, i) => {
+    const [num, den] = b.time_signature;
+    const compound = den === 8 && num % 3 === 0 && num > 3;
+    const beatCells = (compound ? 1.5 : 4/den) * cpq;
+    const until = i+1 < bars.length ? bars[i+1].cell : totalCells;
+    for (let k = 0; b.cell + k*beatCells < until - 1e-6; k++) {
+      const cell = b.cell + k*beatCells;
+      if (k > 0) ticks.push({ cell, beat: true, label: String(k+1) });
+      for (let c = Math.floor(cell) + 1; c < Math.min(cell + beatCells, until) - 1e-6; c++) {
+        const half = beatCells >= 2 && Math.abs(c - cell - beatCells/2) < 1e-6;
+        ticks.push({ cell: c, beat: false, label: half ? "&" : "" });
+      }
+    }
+  });
+  return ticks;
+}
+
+// ---------- Annotations ----------
+// annotations.pedal: [{ start, end }], dynamics: [{ cell, mark }], markers: [{ cell, text, kind }], all in cells.
+// kind is "rehearsal"/"words" from MusicXML, "marker"/"text" from MIDI meta events.
+// chords: [{ cell, root, quality, bass? }] from MusicXML <harmony>; root/bass are pitch classes (0 = C).
+const DYNAMIC_MARKS = ["pppp","ppp","pp","p","mp","mf","f","ff","fff","ffff","fp","sf","sfz","sfp","fz","rf","rfz"];
+
+function normalizeAnnotations(ann) {
+  const byCell = (a,b) => a.cell - b.cell;
+  const seen = new Set();
+  // Multi-part scores repeat rehearsal marks, dynamics and pedalling in every part
+  const unique = (list, key) => list.filter(a => {
+    const k = `${Math.round((a.cell !== undefined ? a.cell : a.start)*1000)}/${key(a)}`;
+    if (seen.has(k)) return false;
+    seen.add(k);
+    return true;
+  });
+  return Object.assign({}, ann, {
+    pedal: unique((ann.pedal || []).filter(p => p.end > p.start).sort((a,b) => a.start - b.start), p => `p:${Math.round(p.end*1000)}`),
+    markers: unique((ann.markers || []).slice().sort(byCell), m => `m:${m.text}`),
+    dynamics: unique((ann.dynamics || []).slice().sort(byCell), d => `d:${d.mark}`),
+    chords: unique((ann.chords || []).slice().sort(byCell), c => `c:${c.root}${c.quality}/${c.bass}`)
+  });
+}
+
+// Text, marker and cue-point events of every track as [{ ticks, type, text }]. @tonejs/midi keeps only the
+// first track's (header.meta), but markers and cues often sit on the parts. A damaged track ends its own scan.
+const MIDI_TEXT_TYPES = { 0x01: "text", 0x06: "marker", 0x07: "cuePoint" };
+
+function midiTextEvents(arrayBuf) {
+  const bytes = new Uint8Array(arrayBuf);
+  const u32 = (i) => ((bytes[i] << 24) | (bytes[i+1] << 16) | (bytes[i+2] << 8) | bytes[i+3]) >>> 0;
+  const events = [];
+  const scanTrack = (i, end) => {
+    const varLen = () => {
+      let value = 0, b;
+      do { b = bytes[i++]; value = value * 128 + (b & 0x7f); } while (b & 0x80 && i < end);
+      return value;
+    };
+    let ticks = 0, status = 0;
+    while (i < end) {
+      ticks += varLen();
+      if (bytes[i] & 0x80) status = bytes[i++];
+      if (status === 0xff) {
+        const type = bytes[i++];
+        const len = varLen();
+        if (MIDI_TEXT_TYPES[type]) events.push({ ticks, type: MIDI_TEXT_TYPES[type], text: String.fromCharCode(...bytes.subarray(i, Math.min(i + len, end))) });
+        i += len;
+        if (type === 0x2f) return;
+        status = 0;
+      } else if (status === 0xf0 || status === 0xf7) {
+        i += varLen();
+        status = 0;
+      } else if (status) {
+        i += (status & 0xf0) === 0xc0 || (status & 0xf0) === 0xd0 ? 1 : 2;
+      } else {
+        return;
+      }
+    }
+  };
+  let pos = 8 + u32(4);
+  while (pos + 8 <= bytes.length) {
+    const len = u32(pos + 4);
+    if (String.fromCharCode(...bytes.subarray(pos, pos + 4)) === "MTrk") scanTrack(pos + 8, Math.min(bytes.length, pos + 8 + len));
+    pos += 8 + len;
+  }
+  return events;
+}
+
+function midiAnnotations(midi, textEvents, tickToCells) {
+  const pedal = [];
+  midi.tracks.forEach(t => {
+    // CC64 >= 64 holds the sustain pedal down
+    let down = null;
+    (t.controlChanges[64] || []).forEach(cc => {
+      const cell = tickToCells(cc.ticks);
+      if (cc.value >= 0.5 && down === null) down = cell;
+      else if (cc.value < 0.5 && down !== null) { pedal.push({ start: down, end: cell }); down = null; }
+    });
+    if (down !== null) pedal.push({ start: down, end: tickToCells(t.durationTicks) });
+  });
+  const markers = [], dynamics = [];
+  textEvents.forEach(m => {
+    const text = (m.text || "").trim();
+    if (!text) return;
+    const cell = tickToCells(m.ticks);
+    if (DYNAMIC_MARKS.includes(text)) dynamics.push({ cell, mark: text });
+    else markers.push({ cell, text, kind: m.type === "text" ? "text" : "marker" });
+  });
+  return normalizeAnnotations({ pedal, markers, dynamics, chords: [] });
+}
+
+// ---------- EKJ Schema, Validation & Migration ----------
+// EKJ files carry a top-level "version". Files without one are version 1 (the original export format).
+const EKJ_VERSION = 3;
+
+const EKJ_TIME_SIGNATURE = { type:"array", minItems:2, maxItems:2, items:{ type:"integer", minimum:1 } };
+// layout.mode values, drawn by the Layout Modes section
+const LAYOUT_MODES = ["classic", "pianoroll", "falling"];
+const EKJ_SCHEMA = {
+  type: "object",
+  required: ["version", "metadata", "layout", "tracks"],
+  properties: {
+    version: { type:"integer", minimum:1 },
+    metadata: {
+      type: "object",
+      required: ["tempo_bpm", "time_signature"],
+      properties: {
+        title: { type:"string" },
+        composer: { type:"string" },
+        tempo_bpm: { type:"number", exclusiveMinimum:0 },
+        time_signature: EKJ_TIME_SIGNATURE,
+        tempo_map: { type:"array", items:{ type:"object", required:["cell","bpm"], properties:{
+          cell: { type:"number", minimum:0 }, bpm: { type:"number", exclusiveMinimum:0 } } } },
+        meter_map: { type:"array", items:{ type:"object", required:["cell","time_signature"], properties:{
+          cell: { type:"number", minimum:0 }, time_signature: EKJ_TIME_SIGNATURE } } },
+        ppq: { type:"integer", minimum:1 },
+        transpose_semitones: { type:"integer" },
+        key: { type:"object", required:["tonic","mode"], properties:{
+          tonic: { type:"integer", minimum:0, maximum:11 }, mode: { type:"string",
+            enum:["major","minor","dorian","phrygian","lydian","mixolydian","locrian"] },
+          fifths: { type:"integer", minimum:-7, maximum:7 }, source: { type:"string" }, confidence: { type:"number" } } },
+        fit_range: { type:"object", required:["low","high"], properties:{
+          low: { type:"integer", minimum:0, maximum:127 }, high: { type:"integer", minimum:0, maximum:127 } } }
+      }
+    },
+    layout: {
+      type: "object",
+      required: ["pitch_min", "pitch_max", "cell_per_quarter"],
+      properties: {
+        mode: { type:"string", enum: LAYOUT_MODES },
+        pitch_min: { type:"integer", minimum:0, maximum:127 },
+        pitch_max: { type:"integer", minimum:0, maximum:127 },
+        cell_per_quarter: { type:"number", exclusiveMinimum:0 },
+        hand_split: { type:"integer", minimum:0, maximum:127 },
+        columns: { type:"array", items:{ type:"object", required:["midi"], properties:{
+          midi: { type:"integer", minimum:0, maximum:127 }, label: { type:"string" }, shade: { type:"boolean" } } } }
+      }
+    },
+    tracks: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["events"],
+        properties: {
+          name: { type:"string" },
+          color: { type:"string" },
+          instrument: { type:"string" },
+          program: { type:"integer", minimum:0, maximum:127 },
+          channel: { type:"integer", minimum:1, maximum:16 },
+          drums: { type:"boolean" },
+          events: { type:"array", items:{ type:"object", required:["type","pitch","start","dur"], properties:{
+            type: { type:"string", enum:["note","grace"] },
+            pitch: { type:"integer", minimum:0, maximum:127 },
+            start: { type:"number", minimum:0 },
+            dur: { type:"number", minimum:0 },
+            vel: { type:"integer", minimum:0, maximum:127 },
+            tuplet: { type:"array", minItems:2, maxItems:2, items:{ type:"integer", minimum:1 } },
+            staff: { type:"integer", minimum:1 },
+            hand: { type:"string", enum:["L","R"] },
+            subdiv: { type:"integer", enum:[3,4,6,8] },
+            subcells: { type:"array", items:{ type:"integer", minimum:0, maximum:7 } }
+          } } }
+        }
+      }
+    },
+    annotations: {
+      type: "object",
+      properties: {
+        pedal: { type:"array", items:{ type:"object", required:["start","end"], properties:{
+          start: { type:"number", minimum:0 }, end: { type:"number", minimum:0 } } } },
+        markers: { type:"array", items:{ type:"object", required:["cell","text"], properties:{
+          cell: { type:"number", minimum:0 }, text: { type:"string" }, kind: { type:"string" } } } },
+        dynamics: { type:"array", items:{ type:"object", required:["cell","mark"], properties:{
+          cell: { type:"number", minimum:0 }, mark: { type:"string" } } } },
+        chords: { type:"array", items:{ type:"object", required:["cell","root","quality"], properties:{
+          cell: { type:"number", minimum:0 }, root: { type:"integer", minimum:0, maximum:11 },
+          quality: { type:"string" }, bass: { type:"integer", minimum:0, maximum:11 } } } }
+      }
+    }
+  }
+};
+
+// Checks a value against the schema subset above; returns [{ path, message }]
+function validateAgainstSchema(value, schema, path="", errors=[]) {
+  const at = path || "(root)";
+  const isType = {
+    object: v => v !== null && typeof v === "object" && !Array.isArray(v),
+    array: v => Array.isArray(v),
+    string: v => typeof v === "string",
+    boolean: v => typeof v === "boolean",
+    number: v => typeof v === "number" && isFinite(v),
+    integer: v => Number.isInteger(v)
+  };
+  if (schema.type && !isType[schema.type](value)) {
+    errors.push({ path: at, message: `expected ${schema.type}, got ${Array.isArray(value) ? "array" : value === null ? "null" : typeof value}` });
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) errors.push({ path: at, message: `must be one of ${schema.enum.join(", ")}` });
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path: at, message: `must be >= ${schema.minimum}` });
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path: at, message: `must be <= ${schema.maximum}` });
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) errors.push({ path: at, message: `must be > ${schema.exclusiveMinimum}` });
+  if (schema.type === "array") {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push({ path: at, message: `needs at least ${schema.minItems} items` });
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push({ path: at, message: `allows at most ${schema.maxItems} items` });
+    if (schema.items) value.forEach((v, i) => validateAgainstSchema(v, schema.items, `${path}[${i}]`, errors));
+  }
+  if (schema.type === "object") {
+    (schema.required || []).forEach(k => { if (value[k] === undefined) errors.push({ path: path ? `${path}.${k}` : k, message: "is required" }); });
+    Object.entries(schema.properties || {}).forEach(([k, sub]) => {
+      if (value[k] !== undefined) validateAgainstSchema(value[k], sub, path ? `${path}.${k}` : k, errors);
+    });
+  }
+  return errors;
+}
+
+function validateEKJ(ekj) {
+  const errors = validateAgainstSchema(ekj, EKJ_SCHEMA);
+  if (!errors.length && ekj.layout.pitch_min > ekj.layout.pitch_max) {
+    errors.push({ path: "layout.pitch_min", message: `must not exceed layout.pitch_max (${ekj.layout.pitch_max})` });
+  }
+  return errors;
+}
+
+// Each migration upgrades a document from version N to N+1 in place
+const EKJ_MIGRATIONS = {
+  1: (ekj) => {
+    const m = ekj.metadata || {};
+    if (!m.tempo_map) m.tempo_map = [{ cell: 0, bpm: m.tempo_bpm || 120 }];
+    if (!m.meter_map) m.meter_map = [{ cell: 0, time_signature: m.time_signature || [4,4] }];
+  },
+  // Version 2 files used a flat grey for every track: give each its palette colour
+  2: (ekj) => {
+    (ekj.tracks || []).forEach((tr, i) => {
+      if (tr && (!tr.color || tr.color === "#888")) tr.color = trackColor(i);
+    });
+  }
+};
+
+function migrateEKJ(ekj) {
+  let version = ekj.version === undefined ? 1 : ekj.version;
+  if (!Number.isInteger(version) || version < 1) throw new EKJValidationError([{ path: "version", message: "must be a positive integer" }]);
+  if (version > EKJ_VERSION) throw new EKJValidationError([{ path: "version", message: `file is version ${version}; this converter reads up to ${EKJ_VERSION}` }]);
+  for (; version < EKJ_VERSION; version++) EKJ_MIGRATIONS[version](ekj);
+  ekj.version = EKJ_VERSION;
+  return ekj;
+}
+
+class EKJValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid EKJ file: ${errors.length} problem(s)`);
+    this.name = "EKJValidationError";
+    this.errors = errors;
+  }
+}
+
+function ekjTextToEKJ(text) {
+  let ekj;
+  try { ekj = JSON.parse(text); }
+  catch (err) { throw new EKJValidationError([{ path: "(file)", message: `not valid JSON (${err.message})` }]); }
+  if (ekj === null || typeof ekj !== "object" || Array.isArray(ekj)) throw new EKJValidationError([{ path: "(root)", message: "expected an EKJ object" }]);
+  migrateEKJ(ekj);
+  const errors = validateEKJ(ekj);
+  if (errors.length) throw new EKJValidationError(errors);
+
+  // Fill optional parts and recompute derived fields, so hand-edited files render like fresh imports
+  const { metadata, layout } = ekj;
+  metadata.tempo_map = normalizeTempoMap(tempoMapOf(ekj));
+  metadata.meter_map = normalizeMeterMap(meterMapOf(ekj));
+  if (metadata.transpose_semitones === undefined) metadata.transpose_semitones = 0;
+  layout.mode = layout.mode || "classic";
+  ekj.tracks.forEach(tr => tr.events.forEach(ev => {
+    if (ev.vel === undefined) ev.vel = 96;
+    if (tr.drums) return;
+    layout.pitch_min = Math.min(layout.pitch_min, soundingPitch(ekj, ev.pitch));
+    layout.pitch_max = Math.max(layout.pitch_max, soundingPitch(ekj, ev.pitch));
+  }));
+  layout.columns = buildColumns(layout.pitch_min, layout.pitch_max);
+  ekj.annotations = normalizeAnnotations(Object.assign({ pedal:[], markers:[], dynamics:[], chords:[] }, ekj.annotations));
+  if (!metadata.key) setKey(ekj, null);
+  assignHands(ekj);
+  addEnvelopesAndSubcells(ekj);
+  return ekj;
+}
+
+// ---------- Transposition & Range Fitting ----------
+// Events keep their written pitch. metadata.transpose_semitones and metadata.fit_range (octave-folding
+// outlying notes into a keyboard) are applied on the way out: render, columns, playback and exports.
+const KEYBOARD_RANGES = { "49": [36, 84], "61": [36, 96], "76": [28, 103], "88": [21, 108] };
+
+function soundingPitch(ekj, pitch) {
+  let p = pitch + (ekj.metadata.transpose_semitones || 0);
+  const fit = ekj.metadata.fit_range;
+  if (fit && fit.high - fit.low >= 11) {
+    while (p < fit.low) p += 12;
+    while (p > fit.high) p -= 12;
+  }
+  return Math.max(0, Math.min(127, p));
+}
+
+// Drum tracks keep their pitches: they are General MIDI percussion keys, not notes to transpose
+function trackPitch(ekj, tr, pitch) {
+  return tr.drums ? pitch : soundingPitch(ekj, pitch);
+}
+
+// Rebuilds layout.pitch_min/pitch_max/columns from the sounding pitches (drum tracks aside)
+function updateLayoutRange(ekj) {
+  let min = 127, max = 0;
+  ekj.tracks.forEach(tr => tr.events.forEach(ev => {
+    if ((ev.type !== "note" && ev.type !== "grace") || tr.drums) return;
+    const p = soundingPitch(ekj, ev.pitch);
+    min = Math.min(min, p); max = Math.max(max, p);
+  }));
+  if (min > max) { min = 60; max = 72; }
+  ekj.layout.pitch_min = min;
+  ekj.layout.pitch_max = max;
+  ekj.layout.columns = buildColumns(min, max);
+}
+
+function applyPitchSettings(ekj, transpose, fitKey) {
+  ekj.metadata.transpose_semitones = transpose;
+  const range = KEYBOARD_RANGES[fitKey];
+  if (range) ekj.metadata.fit_range = { low: range[0], high: range[1] };
+  else delete ekj.metadata.fit_range;
+  updateLayoutRange(ekj);
+}
+
+// ---------- Track Colours ----------
+const TRACK_PALETTE = ["#ffd166", "#5bb3ff", "#ef476f", "#06d6a0", "#c77dff", "#ff9f1c", "#94d2bd", "#f78c6b"];
+function trackColor(i) { return TRACK_PALETTE[i % TRACK_PALETTE.length]; }
+
+// ---------- General MIDI ----------
+// Percussion key map (channel 10): key -> [name, short label for the drum lane header]
+const GM_DRUMS = {
+  35: ["Acoustic Bass Drum", "BD2"], 36: ["Bass Drum", "BD"], 37: ["Side Stick", "SS"], 38: ["Acoustic Snare", "SD"],
+  39: ["Hand Clap", "CLP"], 40: ["Electric Snare", "SD2"], 41: ["Low Floor Tom", "LFT"], 42: ["Closed Hi-Hat", "HH"],
+  43: ["High Floor Tom", "HFT"], 44: ["Pedal Hi-Hat", "PHH"], 45: ["Low Tom", "LT"], 46: ["Open Hi-Hat", "OHH"],
+  47: ["Low-Mid Tom", "LMT"], 48: ["Hi-Mid Tom", "HMT"], 49: ["Crash Cymbal 1", "CR"], 50: ["High Tom", "HT"],
+  51: ["Ride Cymbal 1", "RD"], 52: ["Chinese Cymbal", "CH"], 53: ["Ride Bell", "RB"], 54: ["Tambourine", "TMB"],
+  55: ["Splash Cymbal", "SPL"], 56: ["Cowbell", "CB"], 57: ["Crash Cymbal 2", "CR2"], 58: ["Vibraslap", "VS"],
+  59: ["Ride Cymbal 2", "RD2"], 60: ["Hi Bongo", "HB"], 61: ["Low Bongo", "LB"], 62: ["Mute Hi Conga", "MHC"],
+  63: ["Open Hi Conga", "OHC"], 64: ["Low Conga", "LC"], 65: ["High Timbale", "HTI"], 66: ["Low Timbale", "LTI"],
+  67: ["High Agogo", "HAG"], 68: ["Low Agogo", "LAG"], 69: ["Cabasa", "CAB"], 70: ["Maracas", "MAR"],
+  71: ["Short Whistle", "SWH"], 72: ["Long Whistle", "LWH"], 73: ["Short Guiro", "SGU"], 74: ["Long Guiro", "LGU"],
+  75: ["Claves", "CLA"], 76: ["Hi Wood Block", "HWB"], 77: ["Low Wood Block", "LWB"], 78: ["Mute Cuica", "MCU"],
+  79: ["Open Cuica", "OCU"], 80: ["Mute Triangle", "MTR"], 81: ["Open Triangle", "OTR"]
+};
+
+function titleCase(name) {
+  return name.replace(/\b[a-z]/g, c => c.toUpperCase());
+}
+
+// One drum-lane row per percussion key used by any drum track, low keys (kick, snare) first
+function drumRows(ekj) {
+  const keys = new Set();
+  ekj.tracks.forEach(tr => { if (tr.drums) tr.events.forEach(ev => keys.add(ev.pitch)); });
+  return Array.from(keys).sort((a,b) => a - b).map(pitch => {
+    const [name, label] = GM_DRUMS[pitch] || [`Percussion ${pitch}`, String(pitch)];
+    return { pitch, name, label };
+  });
+}
+
+// ---------- Hands ----------
+// ev.hand ("L"/"R") is derived, like envelopes: recomputed after imports and edits. A track with several
+// MusicXML staves uses them (staff 1 right, the others left); a track named for one hand gets that hand;
+// anything else is split per onset by pitch around layout.hand_split, keeping each hand's chord within
+// HAND_SPAN and close to where that hand last played (voice leading).
+const HAND_SPLIT_DEFAULT = 60; // C4
+const HAND_SPAN = 12;
+const HAND_COLORS = { R: "#4cc9f0", L: "#f4a261" };
+const HAND_NAMES = { R: "Right hand", L: "Left hand" };
+
+function handSplitOf(ekj) {
+  return ekj.layout.hand_split === undefined ? HAND_SPLIT_DEFAULT : ekj.layout.hand_split;
+}
+
+function assignHands(ekj) {
+  const split = handSplitOf(ekj);
+  ekj.tracks.forEach(tr => {
+    const events = tr.events.filter(ev => ev.type === "note" || ev.type === "grace");
+    if (tr.drums) { events.forEach(ev => { delete ev.hand; }); return; }
+    const staves = new Set(events.map(ev => ev.staff || 1));
+    if (staves.size > 1) { events.forEach(ev => { ev.hand = (ev.staff || 1) === 1 ? "R" : "L"; }); return; }
+    const named = /\b(left|l\.?h\.?)\b/i.test(tr.name || "") ? "L" : /\b(right|r\.?h\.?)\b/i.test(tr.name || "") ? "R" : null;
+    if (named) { events.forEach(ev => { ev.hand = named; }); return; }
+
+    const sorted = events.slice().sort((a,b) => a.start - b.start || a.pitch - b.pitch);
+    const pos = { L: split - 7, R: split + 7 };
+    const mean = (notes) => notes.reduce((a, ev) => a + ev.pitch, 0) / notes.length;
+    for (let i = 0; i < sorted.length;) {
+      const group = [];
+      const at = sorted[i].start;
+      while (i < sorted.length && sorted[i].start - at < 1e-6) group.push(sorted[i++]);
+      // Try every cut of the chord (lowest notes left): span, side of the split and distance moved
+      let best = null;
+      for (let k = 0; k <= group.length; k++) {
+        const left = group.slice(0, k), right = group.slice(k);
+        let cost = 0;
+        [[left, "L"], [right, "R"]].forEach(([notes, hand]) => {
+          if (!notes.length) return;
+          const span = notes[notes.length-1].pitch - notes[0].pitch;
+          cost += Math.max(0, span - HAND_SPAN) * 100;
+          cost += notes.reduce((a, ev) => a + Math.max(0, hand === "L" ? ev.pitch - split : split - ev.pitch), 0);
+          cost += Math.abs(mean(notes) - pos[hand]) * 0.5;
+        });
+        if (!best || cost < best.cost) best = { cost, left, right };
+      }
+      best.left.forEach(ev => { ev.hand = "L"; });
+      best.right.forEach(ev => { ev.hand = "R"; });
+      if (best.left.length) pos.L = mean(best.left);
+      if (best.right.length) pos.R = mean(best.right);
+    }
+  });
+}
+
+// ---------- Velocity ----------
+const WEDGE_MIN_ONSETS = 3;
+const WEDGE_MIN_CHANGE = 12;
+
+// 0..1 from an event's velocity (missing velocities count as the import default 96)
+function velocityLevel(ev) {
+  return Math.max(0, Math.min(127, ev.vel === undefined ? 96 : ev.vel)) / 127;
+}
+
+// Runs of rising/falling velocity within a track: [{ start, end, kind: "cresc"|"decresc" }]
+// Chords count as one onset at their average velocity; repeated levels inside a run don't break it.
+function velocityWedges(track) {
+  const onsets = new Map();
+  track.events.forEach(ev => {
+    if (ev.type !== "note") return;
+    if (!onsets.has(ev.start)) onsets.set(ev.start, []);
+    onsets.get(ev.start).push(ev.vel === undefined ? 96 : ev.vel);
+  });
+  const pts = Array.from(onsets).sort((a,b) => a[0] - b[0]).map(([cell, vels]) => ({ cell, vel: vels.reduce((a,v) => a + v, 0) / vels.length }));
+  const wedges = [];
+  let i = 0;
+  while (i < pts.length - 1) {
+    const dir = Math.sign(pts[i+1].vel - pts[i].vel);
+    if (!dir) { i++; continue; }
+    let j = i + 1;
+    while (j + 1 < pts.length && Math.sign(pts[j+1].vel - pts[j].vel) * dir >= 0) j++;
+    while (j > i + 1 && pts[j].vel === pts[j-1].vel) j--;
+    if (j - i + 1 >= WEDGE_MIN_ONSETS && Math.abs(pts[j].vel - pts[i].vel) >= WEDGE_MIN_CHANGE) {
+      wedges.push({ start: pts[i].cell, end: pts[j].cell, kind: dir > 0 ? "cresc" : "decresc" });
+    }
+    i = j;
+  }
+  return wedges;
+}
+
+// ---------- Chord Symbols ----------
+const CHORD_ROOTS = ["C","C#","D","Eb","E","F","F#","G","Ab","A","Bb","B"];
+const XML_STEP_PC = { C:0, D:2, E:4, F:5, G:7, A:9, B:11 };
+const HARMONY_KINDS = {
+  "major": "", "minor": "m", "augmented": "+", "diminished": "dim", "dominant": "7", "major-seventh": "maj7",
+  "minor-seventh": "m7", "diminished-seventh": "dim7", "augmented-seventh": "+7", "half-diminished": "m7b5",
+  "major-minor": "m(maj7)", "major-sixth": "6", "minor-sixth": "m6", "dominant-ninth": "9", "major-ninth": "maj9",
+  "minor-ninth": "m9", "dominant-11th": "11", "minor-11th": "m11", "dominant-13th": "13", "suspended-second": "sus2",
+  "suspended-fourth": "sus4", "power": "5"
+};
+// Interval templates for detection, most specific first so a full seventh chord beats its triad
+const CHORD_TEMPLATES = [
+  ["maj7", [0,4,7,11]], ["7", [0,4,7,10]], ["m7", [0,3,7,10]], ["m7b5", [0,3,6,10]], ["dim7", [0,3,6,9]],
+  ["", [0,4,7]], ["m", [0,3,7]], ["dim", [0,3,6]], ["+", [0,4,8]], ["sus4", [0,5,7]], ["sus2", [0,2,7]]
+];
+
+// <harmony> → { root, quality, bass? }; null for "none" (N.C.) or a missing root
+function harmonyToChord(el) {
+  const step = el.querySelector("root root-step")?.textContent.trim();
+  const kindEl = el.querySelector("kind");
+  const kind = kindEl?.textContent.trim() || "major";
+  if (!step || !(step in XML_STEP_PC) || kind === "none") return null;
+  const pc = (s, alter) => (XML_STEP_PC[s] + Math.round(parseFloat(alter || "0")) + 12) % 12;
+  const chord = {
+    root: pc(step, el.querySelector("root root-alter")?.textContent),
+    quality: kindEl && kindEl.hasAttribute("text") ? kindEl.getAttribute("text") : (HARMONY_KINDS[kind] ?? "")
+  };
+  const bassStep = el.querySelector("bass bass-step")?.textContent.trim();
+  if (bassStep in XML_STEP_PC) chord.bass = pc(bassStep, el.querySelector("bass bass-alter")?.textContent);
+  return chord;
+}
+
+function formatChord(chord, transpose = 0) {
+  const name = (pc) => CHORD_ROOTS[((pc + transpose) % 12 + 12) % 12];
+  return name(chord.root) + chord.quality + (chord.bass !== undefined && chord.bass !== chord.root ? `/${name(chord.bass)}` : "");
+}
+
+// Chord at each onset from the notes sounding there (shown pitched tracks, written pitch); repeats are dropped
+function detectChords(ekj, trackShown = () => true) {
+  const notes = [];
+  ekj.tracks.forEach((tr, ti) => {
+    if (!trackShown(ti) || tr.drums) return;
+    tr.events.forEach(ev => { if (ev.type === "note") notes.push(ev); });
+  });
+  notes.sort((a,b) => a.start - b.start);
+  const chords = [];
+  let active = [];
+  let last = "";
+  for (let i = 0; i < notes.length;) {
+    const cell = notes[i].start;
+    while (i < notes.length && notes[i].start === cell) active.push(notes[i++]);
+    active = active.filter(n => n.start + n.dur > cell + 1e-6);
+    const pcs = new Set(active.map(n => n.pitch % 12));
+    if (pcs.size < 3) continue;
+    const bass = Math.min(...active.map(n => n.pitch)) % 12;
+    let best = null;
+    CHORD_TEMPLATES.forEach(([quality, intervals], rank) => {
+      pcs.forEach(root => {
+        if (!intervals.every(iv => pcs.has((root + iv) % 12))) return;
+        // Fewest unexplained notes wins, then a root in the bass, then template order
+        const score = (pcs.size - intervals.length) * 100 + (root === bass ? 0 : 50) + rank;
+        if (!best || score < best.score) best = { score, root, quality };
+      });
+    });
+    if (!best) continue;
+    const chord = { cell, root: best.root, quality: best.quality, detected: true };
+    if (bass !== best.root) chord.bass = bass;
+    const key = formatChord(chord);
+    if (key !== last) chords.push(chord);
+    last = key;
+  }
+  return chords;
+}
+
+// Imported chord symbols when the score has them, otherwise detected ones
+function chordSymbolsOf(ekj, trackShown) {
+  const stored = (ekj.annotations && ekj.annotations.chords) || [];
+  return stored.length ? stored : detectChords(ekj, trackShown);
+}
+
+// ---------- Key ----------
+// metadata.key { tonic, mode, fifths, source, confidence }: tonic is a pitch class of the written notes. It comes
+// from the MusicXML <key> or ABC K: field, otherwise from the notes (source "detected"): the duration-weighted
+// pitch-class histogram correlated with the Krumhansl-Kessler major and minor profiles.
+const MODE_FIFTHS = { lydian: 1, major: 0, mixolydian: -1, dorian: -2, minor: -3, phrygian: -4, locrian: -5 };
+const MODE_STEPS = { major: [0,2,4,5,7,9,11], minor: [0,2,3,5,7,8,10], dorian: [0,2,3,5,7,9,10], phrygian: [0,1,3,5,7,8,10],
+  lydian: [0,2,4,6,7,9,11], mixolydian: [0,2,4,5,7,9,10], locrian: [0,1,3,5,6,8,10] };
+const KEY_PROFILES = {
+  major: [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88],
+  minor: [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+};
+const KEY_NAMES_SHARP = ["C","C#","D","D#","E","F","F#","G","G#","A","A#","B"];
+const KEY_NAMES_FLAT = ["C","Db","D","Eb","E","F","Gb","G","Ab","A","Bb","B"];
+
+// Key signature of a tonic and mode, -5 (five flats) to 6 (six sharps)
+function keyFifths(tonic, mode) {
+  return ((tonic * 7 + MODE_FIFTHS[mode]) % 12 + 12 + 5) % 12 - 5;
+}
+
+// Fifths past ±7 are respelled enharmonically (C# lydian, 8, is stored as Db lydian, -4)
+function keyFromFifths(fifths, mode, source) {
+  if (fifths > 7) fifths -= 12;
+  if (fifths < -7) fifths += 12;
+  return { tonic: (((fifths - MODE_FIFTHS[mode]) * 7) % 12 + 12) % 12, mode, fifths, source };
+}
+
+function pitchClassProfile(ekj) {
+  const hist = new Array(12).fill(0);
+  ekj.tracks.forEach(tr => {
+    if (tr.drums) return;
+    tr.events.forEach(ev => { if (ev.type === "note") hist[ev.pitch % 12] += Math.max(ev.dur, 0.25); });
+  });
+  return hist;
+}
+
+function correlation(a, b) {
+  const mean = (v) => v.reduce((x, y) => x + y, 0) / v.length;
+  const ma = mean(a), mb = mean(b);
+  let num = 0, da = 0, db = 0;
+  a.forEach((x, i) => { num += (x - ma) * (b[i] - mb); da += (x - ma) ** 2; db += (b[i] - mb) ** 2; });
+  return da && db ? num / Math.sqrt(da * db) : 0;
+}
+
+// Best-fitting key among `candidates` (default: the 24 major and minor keys); null for a score without notes
+function detectKey(ekj, candidates) {
+  const hist = pitchClassProfile(ekj);
+  if (!hist.some(v => v > 0)) return null;
+  const keys = candidates || [].concat(...["major", "minor"].map(mode =>
+    KEY_NAMES_SHARP.map((_, tonic) => ({ tonic, mode, fifths: keyFifths(tonic, mode), source: "detected" }))));
+  let best = null;
+  keys.forEach(key => {
+    const profile = KEY_PROFILES[key.mode === "minor" ? "minor" : "major"];
+    const r = correlation(hist, profile.map((_, pc) => profile[(pc - key.tonic + 12) % 12]));
+    if (!best || r > best.confidence) best = Object.assign({}, key, { confidence: Math.round(r * 100) / 100 });
+  });
+  return best;
+}
+
+// metadata.key from an importer: the written key when it has one, else the estimate
+function setKey(ekj, written) {
+  const key = written || detectKey(ekj);
+  if (key) ekj.metadata.key = key;
+}
+
+// Sounding tonic and scale pitch classes (transposition applied); null without a key
+function keyScale(ekj) {
+  const key = ekj.metadata.key;
+  if (!key || !MODE_STEPS[key.mode]) return null;
+  const tonic = ((key.tonic + (ekj.metadata.transpose_semitones || 0)) % 12 + 12) % 12;
+  return { tonic, mode: key.mode, pcs: new Set(MODE_STEPS[key.mode].map(step => (tonic + step) % 12)) };
+}
+
+// "G major", "D dorian"; spelled with flats for flat keys
+function formatKey(key, transpose = 0) {
+  const tonic = ((key.tonic + transpose) % 12 + 12) % 12;
+  const fifths = transpose % 12 === 0 && key.fifths !== undefined ? key.fifths : keyFifths(tonic, key.mode);
+  return `${(fifths < 0 ? KEY_NAMES_FLAT : KEY_NAMES_SHARP)[tonic]} ${key.mode}`;
+}
+
+// ---------- Quantisation ----------
+// Snaps performed (unquantised) timing to a grid. Options, all positions in quarters:
+//   grid: steps per quarter (1, 2, 4, 8); strength: 0..1 of the way to the grid;
+//   swing: "off", "auto" or the offbeat position within a pair of steps (0.5 straight .. 0.75);
+//   triplets: "off", "auto" (per beat, when its onsets fit a triplet grid clearly better) or "all";
+//   minLength: shortest duration after quantising (0 keeps one grid step as the floor).
+// Returns { tracks, stats } with new event objects; the EKJ passed in is not changed. Same-pitch notes that
+// land on one onset are merged (stats.merged).
+const QUANTIZE_DEFAULTS = { grid: 4, strength: 1, swing: "off", triplets: "off", minLength: 0 };
+
+// Offbeats of swung playing sit late in their step pair; the median phase of offbeat onsets gives the ratio
+function detectSwing(onsets, step) {
+  const pair = 2*step;
+  const phases = onsets.map(q => ((q % pair) + pair) % pair / pair).filter(p => p > 0.35 && p < 0.85).sort((a,b) => a - b);
+  if (phases.length < 4) return 0.5;
+  const median = phases[Math.floor(phases.length/2)];
+  return median >= 0.55 ? Math.min(0.75, Math.round(median * 100) / 100) : 0.5;
+}
+
+function quantizeTracks(ekj, options = {}) {
+  const opts = Object.assign({}, QUANTIZE_DEFAULTS, options);
+  const cpq = ekj.layout.cell_per_quarter || 1;
+  const step = 1 / opts.grid;
+  const tripletStep = opts.grid >= 4 ? 1/6 : 1/3;
+  const strength = Math.max(0, Math.min(1, opts.strength));
+  const onsets = [];
+  ekj.tracks.forEach(tr => tr.events.forEach(ev => onsets.push(ev.start / cpq)));
+
+  const swing = opts.swing === "auto" ? detectSwing(onsets, step) : opts.swing === "off" ? 0.5 : Math.max(0.5, Math.min(0.75, Number(opts.swing)));
+  const snapStraight = (q) => {
+    const pair = 2*step;
+    const base = Math.floor(q / pair) * pair;
+    return [base, base + pair*swing, base + pair].reduce((best, c) => Math.abs(c - q) < Math.abs(best - q) ? c : best);
+  };
+  const snapTriplet = (q) => Math.round(q / tripletStep) * tripletStep;
+
+  // Triplet beats: every beat, or those whose onsets miss the straight grid and fit the triplet grid
+  const tripletBeats = new Set();
+  if (opts.triplets !== "off") {
+    const byBeat = new Map();
+    onsets.forEach(q => {
+      const beat = Math.floor(q + 1e-9);
+      if (!byBeat.has(beat)) byBeat.set(beat, []);
+      byBeat.get(beat).push(q);
+    });
+    byBeat.forEach((qs, beat) => {
+      const err = (snap) => qs.reduce((a, q) => a + Math.abs(q - snap(q)), 0);
+      const straight = err(snapStraight), triplet = err(snapTriplet);
+      if (opts.triplets === "all" || (straight > 0.05 * qs.length && triplet < straight * 0.5)) tripletBeats.add(beat);
+    });
+  }
+  const isTriplet = (q) => tripletBeats.has(Math.floor(q + 1e-9));
+  const snap = (q) => isTriplet(q) ? snapTriplet(q) : snapStraight(q);
+  const toward = (q, target) => q + (target - q) * strength;
+
+  const stats = { notes: 0, moved: 0, lengthened: 0, merged: 0, swing: swing > 0.5 ? swing : null, tripletBeats: tripletBeats.size };
+  const tracks = ekj.tracks.map(tr => Object.assign({}, tr, {
+    events: tr.events.map(src => {
+      const ev = Object.assign({}, src);
+      const q0 = src.start / cpq, q1 = (src.start + src.dur) / cpq;
+      let start = Math.max(0, toward(q0, snap(q0)));
+      if (ev.type !== "note") { ev.start = start * cpq; return ev; }
+      stats.notes++;
+      const unit = isTriplet(q0) ? tripletStep : step;
+      let end = toward(q1, snap(q1));
+      // Short blips grow to a grid step (as far as strength allows) or to minLength
+      const shortest = Math.max(opts.minLength, unit * strength);
+      if (end - start < shortest - 1e-9) {
+        end = start + shortest;
+        if (shortest > q1 - q0 + 1e-9) stats.lengthened++;
+      }
+      start = Math.round(start * 1e6) / 1e6;
+      end = Math.round(end * 1e6) / 1e6;
+      if (Math.abs(start - q0) > 1e-6) stats.moved++;
+      ev.start = start * cpq;
+      ev.dur = (end - start) * cpq;
+      if (isTriplet(q0) && Math.abs(snapTriplet(start) - start) < 1e-6) ev.tuplet = [3, 2];
+      else delete ev.tuplet;
+      return ev;
+    }).sort((a,b) => a.start - b.start)
+  }));
+  // Same pitch snapped onto the same onset of a track: one note, the longer and louder of them
+  tracks.forEach(tr => {
+    const seen = new Map();
+    tr.events = tr.events.filter(ev => {
+      if (ev.type !== "note") return true;
+      const key = `${ev.pitch}@${Math.round(ev.start * 1e6)}`;
+      const kept = seen.get(key);
+      if (!kept) { seen.set(key, ev); return true; }
+      kept.dur = Math.max(kept.dur, ev.dur);
+      if (ev.vel !== undefined) kept.vel = Math.max(kept.vel === undefined ? 0 : kept.vel, ev.vel);
+      stats.merged++;
+      return false;
+    });
+  });
+  return { tracks, stats };
+}
+
+// ---------- MIDI Export ----------
+// Type-1 SMF via @tonejs/midi: a conductor track with tempo/meter changes, then one track per EKJ track.
+// Time signature of a partial measure `quarters` long, in the measure's beat unit or the coarsest finer one
+function partialMeter(quarters, den) {
+  for (let d = den; d <= 64; d *= 2) {
+    const beats = quarters * d / 4;
+    if (Math.abs(beats - Math.round(beats)) < 1e-6) return [Math.round(beats), d];
+  }
+  return [Math.max(1, Math.round(quarters * 16)), 64];
+}
+
+// Channel 10 (9 counting from 0) is the General MIDI drum channel; pitched tracks use the rest
+const MIDI_PITCHED_CHANNELS = [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13, 14, 15];
+
+function ekjToMidiArray(ekj) {
+  const Midi = dep("Midi");
+  const midi = new Midi();
+  const ppq = midi.header.ppq;
+  const cpq = ekj.layout.cell_per_quarter || 1;
+  const cellToTicks = (cell) => Math.round((cell / cpq) * ppq);
+
+  midi.header.name = ekj.metadata.title || "";
+  tempoMapOf(ekj).forEach(t => midi.header.tempos.push({ ticks: cellToTicks(t.cell), bpm: t.bpm }));
+  // Signatures go where they change, and a partial measure (a pickup, an irregular bar) gets one of its own
+  // length, e.g. 1/4 then 4/4, so the barlines survive in files that only know time signatures
+  let written = null;
+  const writeMeter = (cell, ts) => {
+    if (written && written[0] === ts[0] && written[1] === ts[1]) return;
+    midi.header.timeSignatures.push({ ticks: cellToTicks(cell), timeSignature: ts.slice() });
+    written = ts;
+  };
+  meterMapOf(ekj).forEach((m, i, all) => {
+    const [num, den] = m.time_signature;
+    const measure = num * (4/den) * cpq;
+    const next = all[i+1];
+    const partial = next ? (next.cell - m.cell) % measure : 0;
+    if (partial < 1e-6 || measure - partial < 1e-6) { writeMeter(m.cell, m.time_signature); return; }
+    if (next.cell - m.cell > measure) writeMeter(m.cell, m.time_signature);
+    writeMeter(next.cell - partial, partialMeter(partial / cpq, den));
+  });
+  midi.header.update();
+
+  // Drum tracks go to channel 10; pitched tracks take the other 15 in order and keep their GM program. With
+  // more than 15 pitched tracks, tracks with the same program share a channel (past 15 programs they wrap).
+  const pitchedCount = ekj.tracks.filter(tr => !tr.drums).length;
+  const programChannels = new Map();
+  let nextChannel = 0;
+  const pitchedChannel = (tr) => {
+    if (pitchedCount > MIDI_PITCHED_CHANNELS.length) {
+      const program = tr.program || 0;
+      if (!programChannels.has(program)) programChannels.set(program, MIDI_PITCHED_CHANNELS[programChannels.size % MIDI_PITCHED_CHANNELS.length]);
+      return programChannels.get(program);
+    }
+    return MIDI_PITCHED_CHANNELS[nextChannel++];
+  };
+  ekj.tracks.forEach((tr, i) => {
+    const track = midi.addTrack();
+    track.name = tr.name || `Track ${i+1}`;
+    if (tr.drums) {
+      track.channel = 9;
+    } else {
+      track.channel = pitchedChannel(tr);
+      if (tr.program !== undefined) track.instrument.number = tr.program;
+    }
+    tr.events.forEach(ev => {
+      if (ev.type !== "note" && ev.type !== "grace") return;
+      const pitch = trackPitch(ekj, tr, ev.pitch);
+      let ticks = cellToTicks(ev.start);
+      let durationTicks = Math.max(1, cellToTicks(ev.start + ev.dur) - ticks);
+      if (ev.type === "grace") {
+        // Grace notes are played as a short 64th just ahead of the beat
+        durationTicks = Math.max(1, Math.round(ppq / 16));
+        ticks = Math.max(0, ticks - durationTicks);
+      }
+      track.addNote({ midi: pitch, ticks, durationTicks, velocity: (ev.vel === undefined ? 96 : ev.vel) / 127 });
+    });
+  });
+
+  return midi.toArray();
+}
+
+// ---------- MusicXML Export ----------
+// Positions are rounded to MXL_DIVISIONS per quarter: straight values down to 64ths, triplets down to 32nd-triplets.
+// Notes snap to whichever grid is nearer, the 64th (MXL_GRID) or the 32nd-triplet (MXL_TRIPLET_GRID).
+const MXL_DIVISIONS = 96;
+const MXL_GRID = MXL_DIVISIONS / 16;
+const MXL_TRIPLET_GRID = MXL_DIVISIONS / 12;
+const MXL_NOTE_VALUES = [ // [divisions, type, dots, triplet]
+  [384,"whole",0,false], [288,"half",1,false], [192,"half",0,false], [144,"quarter",1,false], [128,"half",0,true],
+  [96,"quarter",0,false], [72,"eighth",1,false], [64,"quarter",0,true], [48,"eighth",0,false], [36,"16th",1,false],
+  [32,"eighth",0,true], [24,"16th",0,false], [16,"16th",0,true], [12,"32nd",0,false], [8,"32nd",0,true], [6,"64th",0,false]
+];
+// Pitch classes as [step, alter], spelled with sharps, or with flats in flat keys
+const XML_STEPS = [["C",0],["C",1],["D",0],["D",1],["E",0],["F",0],["F",1],["G",0],["G",1],["A",0],["A",1],["B",0]];
+const XML_STEPS_FLAT = [["C",0],["D",-1],["D",0],["E",-1],["E",0],["F",0],["G",-1],["G",0],["A",-1],["A",0],["B",-1],["B",0]];
+
+// Splits a duration (in divisions) into notatable values, largest straight value first. A triplet value is
+// used only for tuplet lengths (whole 32nd-triplets but not whole 64ths); a leftover under a 64th is rounded to
+// the grid, so the pieces add up to d or to d rounded to the nearest 64th.
+function splitXmlDuration(d) {
+  const piece = ([dur, type, dots, triplet]) => ({ dur, type, dots, triplet });
+  let rest = d;
+  let triplet = null;
+  if (rest % MXL_GRID !== 0 && rest % MXL_TRIPLET_GRID === 0) {
+    triplet = MXL_NOTE_VALUES.find(([len,,,trip]) => trip && len <= rest && (rest - len) % MXL_GRID === 0);
+    rest -= triplet[0];
+  }
+  rest = Math.round(rest / MXL_GRID) * MXL_GRID;
+  const pieces = [];
+  while (rest > 0) {
+    const v = MXL_NOTE_VALUES.find(([len,,,trip]) => !trip && len <= rest);
+    pieces.push(piece(v));
+    rest -= v[0];
+  }
+  if (triplet) pieces.push(piece(triplet));
+  return pieces;
+}
+
+// Groups notes into chords (same start and end) and packs the chords into non-overlapping voices
+function assignXmlVoices(notes) {
+  const byKey = new Map();
+  notes.forEach(n => {
+    const key = `${n.start}:${n.end}`;
+    if (!byKey.has(key)) byKey.set(key, { start: n.start, end: n.end, notes: [] });
+    byKey.get(key).notes.push(n);
+  });
+  const chords = Array.from(byKey.values()).sort((a,b) => a.start - b.start || b.end - a.end);
+  const voices = [];
+  chords.forEach(ch => {
+    ch.notes.sort((a,b) => a.pitch - b.pitch);
+    let v = voices.find(v => v.end <= ch.start);
+    if (!v) { v = { end: 0, chords: [] }; voices.push(v); }
+    v.chords.push(ch);
+    v.end = ch.end;
+  });
+  return voices;
+}
+
+function ekjToMusicXml(ekj) {
+  const cpq = ekj.layout.cell_per_quarter || 1;
+  const toDiv = (cell) => Math.round((cell / cpq) * MXL_DIVISIONS);
+  const toNoteDiv = (cell) => {
+    const div = toDiv(cell);
+    const straight = Math.round(div / MXL_GRID) * MXL_GRID, triplet = Math.round(div / MXL_TRIPLET_GRID) * MXL_TRIPLET_GRID;
+    return Math.abs(triplet - div) < Math.abs(straight - div) ? triplet : straight;
+  };
+  // Notes are written at sounding pitch, so the key is transposed with them
+  const key = ekj.metadata.key;
+  const transpose = ekj.metadata.transpose_semitones || 0;
+  const fifths = !key ? 0 : transpose || key.fifths === undefined ? keyFifths(((key.tonic + transpose) % 12 + 12) % 12, key.mode) : key.fifths;
+  const keyXml = `<key><fifths>${fifths}</fifths>${key ? `<mode>${key.mode}</mode>` : ""}</key>`;
+
+  // Measure boundaries (in divisions) from the meter map, extended to cover the last note
+  let endCell = 0;
+  ekj.tracks.forEach(tr => tr.events.forEach(ev => { endCell = Math.max(endCell, ev.start + ev.dur); }));
+  const bars = measureLines(ekj, endCell);
+  const last = bars[bars.length-1];
+  const [lastNum, lastDen] = last.time_signature;
+  if (last.cell < endCell - 1e-6 || bars.length === 1) bars.push({ cell: last.cell + lastNum * (4/lastDen) * cpq, number: last.number + 1, time_signature: last.time_signature, meterChange: false });
+  const measures = bars.slice(0, -1).map((b, i) => ({ start: toDiv(b.cell), end: toDiv(bars[i+1].cell), bar: b }));
+  const tempos = tempoMapOf(ekj).map(t => ({ at: toDiv(t.cell), bpm: t.bpm }));
+
+  const noteXml = (n, piece, opts) => {
+    const out = [`<note${n.vel !== undefined ? ` dynamics="${Math.round(n.vel/90*10000)/100}"` : ""}>`];
+    if (opts.grace) out.push(n.slash ? '<grace slash="yes"/>' : "<grace/>");
+    if (opts.chord) out.push("<chord/>");
+    if (n.pitch === null) out.push(opts.measureRest ? '<rest measure="yes"/>' : "<rest/>");
+    else {
+      const [step, alter] = (fifths < 0 ? XML_STEPS_FLAT : XML_STEPS)[n.pitch % 12];
+      out.push(`<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ""}<octave>${Math.floor(n.pitch/12) - 1}</octave></pitch>`);
+    }
+    if (!opts.grace) out.push(`<duration>${piece.dur}</duration>`);
+    if (opts.tieStop) out.push('<tie type="stop"/>');
+    if (opts.tieStart) out.push('<tie type="start"/>');
+    out.push(`<voice>${opts.voice}</voice>`);
+    if (!opts.measureRest) out.push(`<type>${piece.type}</type>` + "<dot/>".repeat(piece.dots));
+    if (piece.triplet) out.push("<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>");
+    if (opts.staff) out.push(`<staff>${opts.staff}</staff>`);
+    if (opts.tieStart || opts.tieStop) {
+      out.push(`<notations>${opts.tieStop ? '<tied type="stop"/>' : ""}${opts.tieStart ? '<tied type="start"/>' : ""}</notations>`);
+    }
+    out.push("</note>");
+    return out.join("");
+  };
+
+  const partList = [];
+  const partsXml = [];
+  ekj.tracks.forEach((tr, ti) => {
+    const id = `P${ti+1}`;
+    partList.push(`<score-part id="${id}"><part-name>${escapeXml(tr.name || `Track ${ti+1}`)}</part-name></score-part>`);
+
+    // Staves: keep the staff numbers from a MusicXML import, otherwise a single staff
+    const staves = new Map();
+    const graces = new Map();
+    tr.events.forEach(ev => {
+      const pitch = trackPitch(ekj, tr, ev.pitch);
+      const staff = ev.staff || 1;
+      if (ev.type === "grace") {
+        const key = `${staff}:${toNoteDiv(ev.start)}`;
+        if (!staves.has(staff)) staves.set(staff, []);
+        if (!graces.has(key)) graces.set(key, []);
+        graces.get(key).push({ pitch, vel: ev.vel, slash: ev.slash });
+        return;
+      }
+      if (ev.type !== "note") return;
+      const start = toNoteDiv(ev.start);
+      let end = toNoteDiv(ev.start + ev.dur);
+      if (end <= start) end = start + (start % MXL_GRID === 0 ? MXL_GRID : MXL_TRIPLET_GRID);
+      if (!staves.has(staff)) staves.set(staff, []);
+      staves.get(staff).push({ pitch, start, end, vel: ev.vel });
+    });
+    if (!staves.size) staves.set(1, []);
+    const staffNums = Array.from(staves.keys()).sort((a,b) => a - b);
+    const multiStaff = staffNums.length > 1;
+    // Voices 1-4 on the first staff, 5-8 on the second, ...; a staff with more voices pushes the next ones up
+    const staffVoices = [];
+    staffNums.forEach((s, si) => {
+      const prev = staffVoices[si-1];
+      const voiceBase = prev ? Math.max(si*4, prev.voiceBase + Math.max(1, prev.voices.length)) : 0;
+      staffVoices.push({ staff: s, voiceBase, voices: assignXmlVoices(staves.get(s)), notes: staves.get(s) });
+    });
+
+    // Graces before a rest, or whose main note is on another staff, go before the staff's next note in the
+    // measure (a note tied over the barline counts at the measure start); those with none are written at the
+    // end of the measure
+    Array.from(graces.keys()).forEach(key => {
+      const [staff, at] = key.split(":").map(Number);
+      const m = measures.find(m => at < m.end) || measures[measures.length-1];
+      const next = staves.get(staff).map(n => n.start < m.start && n.end > m.start ? m.start : n.start)
+        .filter(s => s >= at && s < m.end).sort((a,b) => a - b)[0];
+      if (next === undefined || next === at) return;
+      const to = `${staff}:${next}`;
+      graces.set(to, graces.get(key).concat(graces.get(to) || []));
+      graces.delete(key);
+    });
+
+    const clefXml = staffVoices.map((sv, si) => {
+      const avg = sv.notes.length ? sv.notes.reduce((a,n) => a + n.pitch, 0) / sv.notes.length : 60;
+      const [sign, line] = avg >= 57 ? ["G", 2] : ["F", 4];
+      return `<clef${multiStaff ? ` number="${si+1}"` : ""}><sign>${sign}</sign><line>${line}</line></clef>`;
+    }).join("");
+
+    const measXml = measures.map((m, mi) => {
+      const out = [`<measure number="${m.bar.number}">`];
+      const [num, den] = m.bar.time_signature;
+      const timeXml = `<time><beats>${num}</beats><beat-type>${den}</beat-type></time>`;
+      if (mi === 0) {
+        out.push(`<attributes><divisions>${MXL_DIVISIONS}</divisions>${keyXml}${timeXml}${multiStaff ? `<staves>${staffNums.length}</staves>` : ""}${clefXml}</attributes>`);
+      } else if (m.bar.meterChange) {
+        out.push(`<attributes>${timeXml}</attributes>`);
+      }
+      if (ti === 0) {
+        tempos.filter(t => t.at >= m.start && (t.at < m.end || mi === measures.length-1)).forEach(t => {
+          out.push(`<direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${Math.round(t.bpm)}</per-minute></metronome></direction-type>${t.at > m.start ? `<offset>${t.at - m.start}</offset>` : ""}<sound tempo="${t.bpm}"/></direction>`);
+        });
+      }
+
+      let cursor = m.start;
+      staffVoices.forEach((sv, si) => {
+        const voices = sv.voices.length ? sv.voices : [{ chords: [] }];
+        voices.forEach((v, vi) => {
+          const voice = sv.voiceBase + vi + 1;
+          const staff = multiStaff ? si + 1 : 0;
+          const first = si === 0 && vi === 0;
+          const inMeasure = v.chords.filter(ch => ch.start < m.end && ch.end > m.start);
+          if (!inMeasure.length && !first) return;
+          if (cursor > m.start) out.push(`<backup><duration>${cursor - m.start}</duration></backup>`);
+          cursor = m.start;
+          if (!inMeasure.length) {
+            out.push(noteXml({ pitch: null }, { dur: m.end - m.start }, { voice, staff, measureRest: true }));
+            cursor = m.end;
+            return;
+          }
+          // The cursor follows the written durations, which may round off a mixed straight/triplet leftover
+          const rest = (to) => {
+            splitXmlDuration(to - cursor).forEach(p => { out.push(noteXml({ pitch: null }, p, { voice, staff })); cursor += p.dur; });
+          };
+          inMeasure.forEach(ch => {
+            const segStart = Math.max(ch.start, m.start, cursor);
+            const segEnd = Math.min(ch.end, m.end);
+            if (segEnd <= segStart) return;
+            if (segStart > cursor) rest(segStart);
+            const at = cursor;
+            const graceKey = `${sv.staff}:${segStart}`;
+            if ((segStart === ch.start || segStart === m.start) && graces.has(graceKey)) {
+              graces.get(graceKey).forEach(g => out.push(noteXml(g, { type: "eighth", dots: 0 }, { voice, staff, grace: true })));
+              graces.delete(graceKey);
+            }
+            const pieces = splitXmlDuration(segEnd - segStart);
+            pieces.forEach((p, pi) => {
+              const tieStop = pi > 0 || ch.start < segStart;
+              const tieStart = pi < pieces.length-1 || ch.end > segEnd;
+              ch.notes.forEach((n, ni) => out.push(noteXml(n, p, { voice, staff, chord: ni > 0, tieStart, tieStop })));
+            });
+            cursor = at + pieces.reduce((a, p) => a + p.dur, 0);
+          });
+          if (first && cursor < m.end) rest(m.end);
+        });
+      });
+      staffVoices.forEach((sv, si) => {
+        graces.forEach((list, key) => {
+          const [staff, at] = key.split(":").map(Number);
+          if (staff !== sv.staff || at < m.start || (at >= m.end && mi < measures.length-1)) return;
+          if (cursor < m.end) out.push(`<forward><duration>${m.end - cursor}</duration></forward>`);
+          cursor = m.end;
+          list.forEach(g => out.push(noteXml(g, { type: "eighth", dots: 0 }, { voice: sv.voiceBase + 1, staff: multiStaff ? si + 1 : 0, grace: true })));
+          graces.delete(key);
+        });
+      });
+      out.push("</measure>");
+      return out.join("\n");
+    });
+    partsXml.push(`<part id="${id}">\n${measXml.join("\n")}\n</part>`);
+  });
+
+  const md = ekj.metadata;
+  return [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `<work><work-title>${escapeXml(md.title || "")}</work-title></work>`,
+    `<identification>${md.composer ? `<creator type="composer">${escapeXml(md.composer)}</creator>` : ""}<encoding><software>EasyKey Music Converter</software></encoding></identification>`,
+    `<part-list>${partList.join("")}</part-list>`,
+    partsXml.join("\n"),
+    "</score-partwise>",
+    ""
+  ].join("\n");
+}
+
+// ---------- SVG Nodes ----------
+// Just enough of the DOM element API for the renderers: attributes, children and text
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function escapeXml(s) {
+  return String(s).replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+}
+
+class SvgNode {
+  constructor(tagName) {
+    this.tagName = tagName;
+    this.attributes = new Map();
+    this.childNodes = [];
+    this.textContent = "";
+  }
+  setAttribute(name, value) { this.attributes.set(name, String(value)); }
+  getAttribute(name) { return this.attributes.has(name) ? this.attributes.get(name) : null; }
+  appendChild(child) { this.childNodes.push(child); return child; }
+  toString() {
+    const attrs = Array.from(this.attributes, ([k, v]) => ` ${k}="${escapeXml(v)}"`).join("");
+    const inner = this.childNodes.join("") + escapeXml(this.textContent);
+    return inner ? `<${this.tagName}${attrs}>${inner}</${this.tagName}>` : `<${this.tagName}${attrs}/>`;
+  }
+}
+function svgElement(tagName) { return new SvgNode(tagName); }
+
+// Colours behind the CSS variables the renderers use (see style.css)
+const EK_THEME = { "--accent": "#5bb3ff", "--measure": "#2a3444", "--gridline": "#17202c", "--hand": "#e76f51" };
+
+// For SVG files viewed outside the page: theme colours instead of CSS variables, and no playhead
+function toStandaloneSvg(node) {
+  node.childNodes = node.childNodes.filter(c => c.getAttribute("class") !== "ek-playhead");
+  ["fill", "stroke"].forEach(attr => {
+    const m = /^var\((--[\w-]+)\)$/.exec(node.getAttribute(attr) || "");
+    if (m) node.setAttribute(attr, EK_THEME[m[1]] || "#888");
+  });
+  node.childNodes.forEach(toStandaloneSvg);
+  return node;
+}
+
+// ---------- Common Post-Process ----------
+function addEnvelopesAndSubcells(ekj) {
+  const cpq = ekj.layout.cell_per_quarter || 1;
+  ekj.tracks.forEach(tr => {
+    tr.events.forEach(ev => {
+      if (ev.type !== "note") return;
+      // Onsets on a clock-hand slot get it (ev.subdiv slots per cell); others keep their exact offset in the cell.
+      // An onset a tick before a cell starts is drawn in that cell on slot 0; start and dur stay as they are.
+      const frac = (ev.start % 1 + 1) % 1;
+      let at = subdivisionSlot(frac);
+      const early = !!at && at.slot === at.subdiv;
+      if (early) at = { subdiv: at.subdiv, slot: 0 };
+      const startCell = Math.floor((early ? Math.ceil(ev.start) : ev.start) * cpq) / cpq;
+      const endCell = Math.floor((ev.start + ev.dur - 1e-6) * cpq) / cpq;
+      ev._startCell = startCell;
+      ev._endCell = Math.max(startCell, endCell);
+      ev.envelope = "diamond";
+      ev.offset = early ? 0 : frac;
+      if (at) ev.subdiv = at.subdiv;
+      else delete ev.subdiv;
+      ev.subcells = at ? [at.slot] : [];
+    });
+  });
+}
+
+// ---------- Renderer (Classic) ----------
+// Grid geometry shared with playback: column width, cell height and the grid's offset inside the SVG
+const EK_COL_W = 22;
+const EK_CELL_H = 26;
+const EK_GRID_LEFT = 60;
+const EK_ANNOT_W = 90;
+const EK_WEDGE_W = 12;
+const EK_CHORD_W = 52;
+const EK_GRID_TOP = 20;
+const EK_DRUM_GAP = 10;
+
+// Lanes right of the grid (x in grid coordinates): the drum lane (a column per percussion key), chord
+// symbols, pedal brackets, wedges, then text. The annotation lane is only added when the score has
+// annotations or wedges are shown; the drum lane only when it has drum tracks.
+function ekjLanes(ekj, view) {
+  const ann = ekj.annotations || {};
+  const annotated = view.wedges || ["pedal", "markers", "dynamics"].some(k => (ann[k] || []).length);
+  const gridW = ekj.layout.columns.length * EK_COL_W;
+  const drums = drumRows(ekj).length;
+  const drumW = drums ? EK_DRUM_GAP + drums * EK_COL_W : 0;
+  const chordX = gridW + drumW + 20;
+  const pedalX = chordX + (view.chords ? EK_CHORD_W : 0);
+  const wedgeW = view.wedges ? ekj.tracks.length * EK_WEDGE_W : 0;
+  return { drumX: gridW + EK_DRUM_GAP, gridRight: gridW + drumW, chordX, pedalX, wedgeX: pedalX + 14, textX: pedalX + 14 + wedgeW,
+    extra: drumW + (view.chords ? EK_CHORD_W : 0) + (annotated ? EK_ANNOT_W + wedgeW : 0) };
+}
+
+// Grid plus margins and lanes
+function ekjScoreWidth(ekj, view = renderView()) {
+  return ekj.layout.columns.length * EK_COL_W + 80 + ekjLanes(ekj, view).extra;
+}
+
+function ekjTotalCells(ekj) {
+  let maxCell = 0;
+  ekj.tracks.forEach(tr => tr.events.forEach(ev => { maxCell = Math.max(maxCell, ev.start + ev.dur); }));
+  return Math.ceil(maxCell);
+}
+
+// Render options the page keeps as view state; the defaults draw every track plainly.
+// hands: "off", "both" (colour and shape by hand) or "R"/"L" (only that hand, e.g. a practice sheet).
+function renderView(view = {}) {
+  return Object.assign({ velocity: "off", wedges: false, chords: false, hands: "off", scale: false, trackShown: () => true }, view);
+}
+
+// Colour of an event under the hands view, or the track colour; null when that hand is hidden
+function eventColor(view, tr, ev, trackColour) {
+  if (view.hands === "off") return trackColour;
+  if (view.hands !== "both" && ev.hand !== view.hands) return null;
+  return HAND_COLORS[ev.hand] || trackColour;
+}
+
+// Clock hand for an onset `turn` of the way through its cell: a full turn per cell, starting 45° left of
+// 12 o'clock, so 16ths keep the four diagonals. The tip tells subdivisions apart: plain for 16ths, a dot for
+// triplets, a ring for sextuplets and a thinner hand with a crossbar for 32nds. subdiv 0 is a dashed
+// (off-slot) hand.
+function clockHandNodes(cx, cy, turn, subdiv) {
+  const r = Math.min(22,26)*0.44*0.8*Math.SQRT2;
+  const angle = (turn*360 - 45) * Math.PI/180;
+  const sin = Math.sin(angle), cos = Math.cos(angle);
+  const tipR = 2.4;
+  const reach = subdiv === 6 ? r - tipR : r;
+  const line = svgElement("line");
+  line.setAttribute("x1", cx); line.setAttribute("y1", cy);
+  line.setAttribute("x2", cx + reach*sin); line.setAttribute("y2", cy - reach*cos);
+  line.setAttribute("stroke", "var(--hand)");
+  line.setAttribute("stroke-width", subdiv === 8 ? "1.6" : "2.2");
+  line.setAttribute("stroke-linecap", "round");
+  if (!subdiv) line.setAttribute("stroke-dasharray", "2 2");
+  const nodes = [line];
+  const tx = cx + r*sin, ty = cy - r*cos;
+  if (subdiv === 3 || subdiv === 6) {
+    const tip = svgElement("circle");
+    tip.setAttribute("cx", tx); tip.setAttribute("cy", ty); tip.setAttribute("r", tipR);
+    tip.setAttribute("fill", subdiv === 3 ? "var(--hand)" : "none");
+    tip.setAttribute("stroke", "var(--hand)");
+    tip.setAttribute("stroke-width", "1.4");
+    nodes.push(tip);
+  } else if (subdiv === 8) {
+    const bar = svgElement("line");
+    bar.setAttribute("x1", tx - 3*cos); bar.setAttribute("y1", ty - 3*sin);
+    bar.setAttribute("x2", tx + 3*cos); bar.setAttribute("y2", ty + 3*sin);
+    bar.setAttribute("stroke", "var(--hand)");
+    bar.setAttribute("stroke-width", "1.6");
+    bar.setAttribute("stroke-linecap", "round");
+    nodes.push(bar);
+  }
+  return nodes;
+}
+
+// Legend glyph for one subdivision: a note diamond with the hands of all its slots
+function buildSubdivisionKeySvg(subdiv) {
+  const svg = svgElement("svg");
+  svg.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  svg.setAttribute("width", "28"); svg.setAttribute("height", "28");
+  svg.setAttribute("viewBox", "-2 -2 30 30");
+  const diamond = svgElement("polygon");
+  diamond.setAttribute("points", "13,7 19,13 13,19 7,13");
+  diamond.setAttribute("fill", "var(--diamond)");
+  svg.appendChild(diamond);
+  for (let slot = 0; slot < subdiv; slot++) clockHandNodes(13, 13, slot / subdiv, subdiv).forEach(n => svg.appendChild(n));
+  return svg;
+}
+
+// Builds the score as an SvgNode tree. Other layout modes go to buildRollSvg.
+// opts.view: see renderView. opts.fromCell/opts.toCell render only that slice of the score (used for page
+// layout, always classic). opts.window {from, to} keeps the full score's size and coordinates but only draws
+// the rows in that range (the page's virtualised view of large scores).
+let ekClipCount = 0;
+function buildEKJSvg(ekj, opts = {}) {
+  const view = renderView(opts.view);
+  if ((opts.mode || ekj.layout.mode || "classic") !== "classic") return buildRollSvg(ekj, view, opts.window);
+  const cols = ekj.layout.columns;
+
+  const colW = EK_COL_W;
+  const cellH = EK_CELL_H;
+
+  const fullCells = ekjTotalCells(ekj);
+  const win = opts.window;
+  const fromCell = win ? Math.max(0, win.from) : opts.fromCell || 0;
+  const toCell = win ? Math.min(fullCells, win.to) : opts.toCell !== undefined ? opts.toCell : fullCells;
+  const totalCells = win ? fullCells : toCell - fromCell;
+  const sliced = !win && (fromCell > 0 || toCell < fullCells);
+  const gridTransform = `translate(${EK_GRID_LEFT},${EK_GRID_TOP - (win ? 0 : fromCell)*cellH})`;
+  const inRange = (cell) => cell >= fromCell - 1e-6 && cell <= toCell + 1e-6;
+
+  const width = ekjScoreWidth(ekj, view);
+  const height = totalCells * cellH + 60;
+
+  const svg = svgElement("svg");
+  svg.setAttribute("width", String(width));
+  svg.setAttribute("height", String(height));
+  svg.setAttribute("viewBox", `0 0 ${width} ${height}`);
+  svg.setAttribute("xmlns", SVG_NS);
+  svg.setAttribute("style", "background:#0b0d10");
+
+  const gBG = svgElement("g");
+  gBG.setAttribute("transform", `translate(${EK_GRID_LEFT},${EK_GRID_TOP})`);
+  svg.appendChild(gBG);
+
+  // view.scale tints the key's columns and marks the tonic's
+  const scale = view.scale ? keyScale(ekj) : null;
+  cols.forEach((c, i) => {
+    const x = i*colW;
+    const rect = svgElement("rect");
+    rect.setAttribute("x", x); rect.setAttribute("y", 0);
+    rect.setAttribute("width", colW); rect.setAttribute("height", height-60);
+    rect.setAttribute("fill", c.shade ? "#0f1620" : "#0c1118");
+    gBG.appendChild(rect);
+    const tonic = scale && c.midi % 12 === scale.tonic;
+    if (scale && scale.pcs.has(c.midi % 12)) {
+      const tint = svgElement("rect");
+      tint.setAttribute("class", tonic ? "ek-tonic" : "ek-in-scale");
+      tint.setAttribute("x", x); tint.setAttribute("y", 0);
+      tint.setAttribute("width", colW); tint.setAttribute("height", height-60);
+      tint.setAttribute("fill", "var(--accent)"); tint.setAttribute("fill-opacity", tonic ? "0.2" : "0.07");
+      gBG.appendChild(tint);
+    }
+
+    const t = svgElement("text");
+    t.setAttribute("x", x + colW/2); t.setAttribute("y", -4);
+    t.setAttribute("text-anchor", "middle");
+    t.setAttribute("fill", tonic ? "var(--accent)" : "#9fb0c3"); t.setAttribute("font-size", "10");
+    if (tonic) t.setAttribute("font-weight", "bold");
+    t.textContent = c.label;
+    gBG.appendChild(t);
+  });
+
+  // Drum lane: a column per percussion key with its short name (full name as a tooltip)
+  const lanes = ekjLanes(ekj, view);
+  const drums = drumRows(ekj);
+  const drumCol = new Map(drums.map((d, i) => [d.pitch, i]));
+  drums.forEach((d, i) => {
+    const x = lanes.drumX + i*colW;
+    const rect = svgElement("rect");
+    rect.setAttribute("x", x); rect.setAttribute("y", 0);
+    rect.setAttribute("width", colW); rect.setAttribute("height", height-60);
+    rect.setAttribute("fill", i % 2 ? "#0f1620" : "#0c1118");
+    gBG.appendChild(rect);
+
+    const t = svgElement("text");
+    t.setAttribute("x", x + colW/2); t.setAttribute("y", -4);
+    t.setAttribute("text-anchor", "middle");
+    t.setAttribute("fill", "#9fb0c3"); t.setAttribute("font-size", "8");
+    const title = svgElement("title");
+    title.textContent = d.name;
+    t.appendChild(title);
+    t.textContent = d.label;
+    gBG.appendChild(t);
+  });
+
+  // A slice keeps score coordinates and clips to its own rows
+  let clipRef = null;
+  if (sliced) {
+    const clipId = `ek-clip-${++ekClipCount}`;
+    const defs = svgElement("defs");
+    const clip = svgElement("clipPath");
+    clip.setAttribute("id", clipId);
+    const clipRect = svgElement("rect");
+    clipRect.setAttribute("x", -EK_GRID_LEFT); clipRect.setAttribute("y", fromCell*cellH - 1);
+    clipRect.setAttribute("width", width); clipRect.setAttribute("height", totalCells*cellH + 2);
+    clip.appendChild(clipRect); defs.appendChild(clip); svg.appendChild(defs);
+    clipRef = `url(#${clipId})`;
+  }
+
+  const gGrid = svgElement("g");
+  gGrid.setAttribute("transform", gridTransform);
+  if (clipRef) gGrid.setAttribute("clip-path", clipRef);
+  svg.appendChild(gGrid);
+
+  // Barlines follow the meter map, so they may fall between cells (e.g. 7/8 on a quarter grid)
+  const bars = measureLines(ekj, fullCells).filter(b => inRange(b.cell));
+  const barCells = new Set(bars.map(b => Math.round(b.cell*1000)));
+  function gridLine(y, isMeasure) {
+    const line = svgElement("line");
+    line.setAttribute("x1", 0); line.setAttribute("y1", y);
+    line.setAttribute("x2", lanes.gridRight); line.setAttribute("y2", y);
+    line.setAttribute("stroke", isMeasure ? "var(--measure)" : "var(--gridline)");
+    line.setAttribute("stroke-width", isMeasure ? "1.5" : "1");
+    gGrid.appendChild(line);
+  }
+  for (let yCell=Math.ceil(fromCell); yCell<=toCell; yCell++) {
+    if (!barCells.has(yCell*1000)) gridLine(yCell * cellH, false);
+  }
+  bars.forEach(b => gridLine(b.cell * cellH, true));
+
+  // Meter and tempo labels in the left margin
+  function marginLabel(text, y, color) {
+    const t = svgElement("text");
+    t.setAttribute("x", -6); t.setAttribute("y", y);
+    t.setAttribute("text-anchor", "end");
+    t.setAttribute("fill", color); t.setAttribute("font-size", "10");
+    t.textContent = text;
+    gGrid.appendChild(t);
+  }
+  const labelRows = new Map();
+  const nextLabelY = (cell) => {
+    const key = Math.round(cell*1000);
+    const row = labelRows.get(key) || 0;
+    labelRows.set(key, row + 1);
+    return cell*cellH + 11 + row*11;
+  };
+  bars.filter(b => b.meterChange && b.cell < toCell).forEach(b => marginLabel(b.time_signature.join("/"), nextLabelY(b.cell), "#9fb0c3"));
+  tempoMapOf(ekj).forEach(t => {
+    if (inRange(t.cell) && t.cell < toCell) marginLabel(`\u2669=${Math.round(t.bpm)}`, nextLabelY(t.cell), "var(--accent)");
+  });
+
+  // Measure numbers at the far left, beat ruler against the grid
+  bars.filter(b => b.cell < toCell).forEach(b => {
+    const t = svgElement("text");
+    t.setAttribute("x", 4 - EK_GRID_LEFT); t.setAttribute("y", b.cell*cellH + 11);
+    t.setAttribute("fill", "#f3f6fa"); t.setAttribute("font-size", "10"); t.setAttribute("font-weight", "bold");
+    t.textContent = String(b.number);
+    gGrid.appendChild(t);
+  });
+  beatTicks(ekj, fullCells).filter(b => inRange(b.cell) && b.cell < toCell).forEach(b => {
+    const tick = svgElement("line");
+    tick.setAttribute("x1", b.beat ? -7 : -3); tick.setAttribute("y1", b.cell*cellH);
+    tick.setAttribute("x2", 0); tick.setAttribute("y2", b.cell*cellH);
+    tick.setAttribute("stroke", "#9fb0c3");
+    gGrid.appendChild(tick);
+    // Margin labels (meter/tempo) win over beat labels on the same row
+    if (b.label && !labelRows.has(Math.round(b.cell*1000))) {
+      const t = svgElement("text");
+      t.setAttribute("x", -10); t.setAttribute("y", b.cell*cellH + 11);
+      t.setAttribute("text-anchor", "end");
+      t.setAttribute("fill", b.beat ? "#9fb0c3" : "#5d6b7c"); t.setAttribute("font-size", b.beat ? "10" : "9");
+      t.textContent = b.label;
+      gGrid.appendChild(t);
+    }
+  });
+
+  // Annotation lane right of the grid: pedal brackets, then dynamics and section markers
+  const ann = ekj.annotations || {};
+  const laneX = lanes.pedalX;
+  const laneRows = new Map();
+  function laneText(text, cell, color, style) {
+    const key = Math.round(cell*1000);
+    const row = laneRows.get(key) || 0;
+    laneRows.set(key, row + 1);
+    const t = svgElement("text");
+    t.setAttribute("x", lanes.textX); t.setAttribute("y", cell*cellH + 11 + row*12);
+    t.setAttribute("fill", color); t.setAttribute("font-size", "11");
+    if (style.italic) { t.setAttribute("font-style", "italic"); t.setAttribute("font-family", "Georgia, serif"); }
+    if (style.bold) t.setAttribute("font-weight", "bold");
+    t.textContent = text;
+    gGrid.appendChild(t);
+  }
+  (ann.pedal || []).filter(p => p.start < toCell && p.end > fromCell).forEach(p => {
+    const path = svgElement("path");
+    const y1 = p.start*cellH + 2, y2 = Math.max(p.end*cellH - 2, y1 + 4);
+    path.setAttribute("d", `M${laneX},${y1} H${laneX+6} V${y2} H${laneX}`);
+    path.setAttribute("fill", "none");
+    path.setAttribute("stroke", "#9fb0c3");
+    path.setAttribute("stroke-width", "1.5");
+    gGrid.appendChild(path);
+  });
+  (ann.markers || []).filter(m => inRange(m.cell) && m.cell < toCell).forEach(m => {
+    // Rehearsal marks and MIDI markers start a section: rule across the grid
+    if (m.kind !== "words" && m.kind !== "text") {
+      const line = svgElement("line");
+      line.setAttribute("x1", 0); line.setAttribute("y1", m.cell*cellH);
+      line.setAttribute("x2", laneX + 8); line.setAttribute("y2", m.cell*cellH);
+      line.setAttribute("stroke", "var(--accent)");
+      line.setAttribute("stroke-dasharray", "4 3");
+      line.setAttribute("opacity", "0.7");
+      gGrid.appendChild(line);
+      laneText(m.text, m.cell, "var(--accent)", { bold: true });
+    } else {
+      laneText(m.text, m.cell, "#b9c1cc", { italic: true });
+    }
+  });
+  (ann.dynamics || []).filter(d => inRange(d.cell) && d.cell < toCell).forEach(d => laneText(d.mark, d.cell, "#f3f6fa", { italic: true, bold: true }));
+
+  if (view.chords) {
+    const transpose = ekj.metadata.transpose_semitones || 0;
+    chordSymbolsOf(ekj, view.trackShown).filter(c => inRange(c.cell) && c.cell < toCell).forEach(c => {
+      const t = svgElement("text");
+      t.setAttribute("x", lanes.chordX); t.setAttribute("y", c.cell*cellH + 12);
+      t.setAttribute("fill", c.detected ? "#b9c1cc" : "#f3f6fa"); t.setAttribute("font-size", "11"); t.setAttribute("font-weight", "bold");
+      t.textContent = formatChord(c, transpose);
+      gGrid.appendChild(t);
+    });
+  }
+
+  // Hairpins from velocity trends, one column per track; time runs downwards, so a crescendo opens downwards
+  if (view.wedges) {
+    ekj.tracks.forEach((tr, ti) => {
+      if (!view.trackShown(ti)) return;
+      const cx = lanes.wedgeX + ti*EK_WEDGE_W + EK_WEDGE_W/2;
+      velocityWedges(tr).filter(w => w.start < toCell && w.end > fromCell).forEach(w => {
+        const y1 = (w.start + 0.5)*cellH, y2 = (w.end + 0.5)*cellH;
+        const [yTip, yOpen] = w.kind === "cresc" ? [y1, y2] : [y2, y1];
+        const path = svgElement("path");
+        path.setAttribute("d", `M${cx-4},${yOpen} L${cx},${yTip} L${cx+4},${yOpen}`);
+        path.setAttribute("fill", "none");
+        path.setAttribute("stroke", tr.color || trackColor(ti));
+        path.setAttribute("stroke-width", "1.5");
+        gGrid.appendChild(path);
+      });
+    });
+  }
+
+  const gNotes = svgElement("g");
+  gNotes.setAttribute("transform", gridTransform);
+  if (clipRef) gNotes.setAttribute("clip-path", clipRef);
+  svg.appendChild(gNotes);
+
+  function pitchToIndex(midi) { return midi - ekj.layout.pitch_min; }
+  // Left edge of an event's column: its sounding pitch, or its drum-lane column for drum tracks
+  function columnX(tr, ev) {
+    return tr.drums ? lanes.drumX + drumCol.get(ev.pitch)*colW : pitchToIndex(soundingPitch(ekj, ev.pitch)) * colW;
+  }
+
+  // Grace notes: small hollow diamond near the top of the cell, slashed for acciaccaturas (flams on drums)
+  function drawGrace(ev, color, x) {
+    const cx = x + colW/2;
+    const cy = Math.floor(ev.start) * cellH + 7;
+    const size = 4.5;
+    const pts = [[cx,cy-size],[cx+size,cy],[cx,cy+size],[cx-size,cy]].map(p=>p.join(",")).join(" ");
+    const poly = svgElement("polygon");
+    poly.setAttribute("points", pts);
+    poly.setAttribute("fill", "none");
+    poly.setAttribute("stroke", color);
+    poly.setAttribute("stroke-width", "1.4");
+    gNotes.appendChild(poly);
+    if (ev.slash) {
+      const line = svgElement("line");
+      line.setAttribute("x1", cx-size); line.setAttribute("y1", cy+size);
+      line.setAttribute("x2", cx+size); line.setAttribute("y2", cy-size);
+      line.setAttribute("stroke", color);
+      line.setAttribute("stroke-width", "1.2");
+      gNotes.appendChild(line);
+    }
+  }
+
+  ekj.tracks.forEach((tr, ti) => {
+    if (!view.trackShown(ti)) return;
+    const trackColour = tr.color || trackColor(ti);
+    tr.events.forEach((ev, ei) => {
+      if (ev.start >= toCell || Math.max(ev.start + ev.dur, ev.start + 1e-9) <= fromCell) return;
+      const color = eventColor(view, tr, ev, trackColour);
+      if (!color) return;
+      if (ev.type === "grace") { drawGrace(ev, color, columnX(tr, ev)); return; }
+      if (ev.type !== "note") return;
+      const x = columnX(tr, ev);
+      const start = ev.start;
+      const dur = ev.dur;
+      // _startCell moves onsets a tick early into the next cell
+      const startCell = Math.floor(ev._startCell !== undefined ? ev._startCell : start);
+      // Drum hits don't sustain: one diamond at the onset
+      const endCell = tr.drums ? startCell : Math.max(startCell, Math.floor(start + dur - 1e-6));
+      const level = velocityLevel(ev);
+      const fillScale = view.velocity === "fill" ? 0.2 + 0.8*level : 1;
+
+      // One group per note so playback can highlight it while it sounds
+      const gNote = svgElement("g");
+      gNote.setAttribute("class", "ek-note");
+      gNote.setAttribute("data-start", start);
+      gNote.setAttribute("data-end", start + dur);
+      gNote.setAttribute("data-track", ti);
+      gNote.setAttribute("data-index", ei);
+      gNotes.appendChild(gNote);
+
+      // interior sustain squares
+      for (let cell=startCell; cell<=endCell; cell++) {
+        const isFirst = cell === startCell;
+        const isLast  = cell === endCell;
+        const interiorFull = (!isFirst && !isLast);
+        if (interiorFull) {
+          const rect = svgElement("rect");
+          rect.setAttribute("x", x+3);
+          rect.setAttribute("y", cell*26+3);
+          rect.setAttribute("width", 22-6);
+          rect.setAttribute("height", 26-6);
+          rect.setAttribute("rx", "4");
+          rect.setAttribute("fill", color);
+          rect.setAttribute("opacity", String(0.45 * fillScale));
+          gNote.appendChild(rect);
+        }
+      }
+
+      // Diamonds at first/last centers (squares for the left hand in the hands view); velocity can scale
+      // their size, fill or outline
+      const square = view.hands !== "off" && ev.hand === "L";
+      function drawDiamond(cellIndex) {
+        const cx = x + 22/2;
+        const cy = (cellIndex+0.5)*26;
+        const size = Math.min(22,26)*0.42 * (view.velocity === "size" ? 0.45 + 0.55*level : 1);
+        const h = size * 0.75;
+        const corners = square ? [[cx-h,cy-h],[cx+h,cy-h],[cx+h,cy+h],[cx-h,cy+h]] : [[cx,cy-size],[cx+size,cy],[cx,cy+size],[cx-size,cy]];
+        const pts = corners.map(p=>p.join(",")).join(" ");
+        const poly = svgElement("polygon");
+        poly.setAttribute("points", pts);
+        poly.setAttribute("fill", color);
+        poly.setAttribute("opacity", String(0.95 * fillScale));
+        if (view.velocity === "outline") {
+          poly.setAttribute("stroke", "#f3f6fa");
+          poly.setAttribute("stroke-width", (0.3 + 2.7*level).toFixed(2));
+          poly.setAttribute("stroke-linejoin", "round");
+        }
+        gNote.appendChild(poly);
+      }
+      drawDiamond(startCell);
+      if (endCell !== startCell) drawDiamond(endCell);
+
+      // Clock hand at the onset slot; off-slot onsets get a dashed hand at their exact offset
+      if (Array.isArray(ev.subcells)) {
+        const cx = x + 22/2;
+        const cy = (startCell+0.5)*26;
+        const subdiv = ev.subdiv || 4;
+        ev.subcells.forEach(slot => clockHandNodes(cx, cy, slot / subdiv, subdiv).forEach(n => gNote.appendChild(n)));
+        if (!ev.subcells.length && ev.offset > 0) clockHandNodes(cx, cy, ev.offset, 0).forEach(n => gNote.appendChild(n));
+      }
+    });
+  });
+
+  // Playback cursor, hidden until playback starts
+  const playhead = svgElement("line");
+  playhead.setAttribute("class", "ek-playhead");
+  playhead.setAttribute("x1", EK_GRID_LEFT); playhead.setAttribute("x2", EK_GRID_LEFT + lanes.gridRight);
+  playhead.setAttribute("y1", EK_GRID_TOP); playhead.setAttribute("y2", EK_GRID_TOP);
+  playhead.setAttribute("stroke", "var(--accent)");
+  playhead.setAttribute("stroke-width", "2");
+  playhead.setAttribute("display", "none");
+  svg.appendChild(playhead);
+  return svg;
+}
+
+// ---------- Layout Modes ----------
+// layout.mode picks the drawing: "classic" (time down, pitch columns), "pianoroll" (time left to right,
+// pitch bottom to top) or "falling" (pitch columns, notes falling onto a keyboard at the bottom).
+// ekjGeometry maps columns/cells to SVG coordinates and back, so playback, seeking and editing work in
+// every mode; drumRect does the same for drum-lane rows (see drumRows). Annotation and chord lanes, and page
+// layout, are classic-only.
+const ROLL_ROW_H = 14;
+const ROLL_LEFT = 44;
+const KEYBOARD_H = 64;
+
+function ekjGeometry(ekj, view) {
+  const n = ekj.layout.columns.length;
+  const total = ekjTotalCells(ekj);
+  const drums = drumRows(ekj).length;
+  const drumGap = drums ? EK_DRUM_GAP : 0;
+  const mode = LAYOUT_MODES.includes(ekj.layout.mode) ? ekj.layout.mode : "classic";
+  // Scrolls so the given SVG coordinate sits at `frac` of the viewport along the time axis
+  const followAxis = (axis, pos, frac) => (cell, wrap) => {
+    const [scrollKey, size] = axis === "x" ? ["scrollLeft", wrap.clientWidth] : ["scrollTop", wrap.clientHeight];
+    const target = pos(cell) - size * frac;
+    if (Math.abs(wrap[scrollKey] - target) > EK_CELL_H) wrap[scrollKey] = Math.max(0, target);
+  };
+  if (mode === "pianoroll") {
+    const x = (cell) => ROLL_LEFT + cell*EK_CELL_H;
+    const bottom = EK_GRID_TOP + n*ROLL_ROW_H + drumGap + drums*ROLL_ROW_H;
+    return { mode, n, total,
+      width: ROLL_LEFT + total*EK_CELL_H + 20, height: bottom + 10,
+      noteRect: (col, from, to) => ({ x: x(from), y: EK_GRID_TOP + (n-1-col)*ROLL_ROW_H, w: (to-from)*EK_CELL_H, h: ROLL_ROW_H }),
+      drumRect: (row, from, to) => ({ x: x(from), y: EK_GRID_TOP + n*ROLL_ROW_H + drumGap + row*ROLL_ROW_H, w: (to-from)*EK_CELL_H, h: ROLL_ROW_H }),
+      timeLine: (cell) => ({ x1: x(cell), y1: EK_GRID_TOP, x2: x(cell), y2: bottom }),
+      toGrid: (px, py) => ({ col: n - (py - EK_GRID_TOP) / ROLL_ROW_H, cell: (px - ROLL_LEFT) / EK_CELL_H }),
+      follow: followAxis("x", x, 1/3) };
+  }
+  const x = (col) => EK_GRID_LEFT + col*EK_COL_W;
+  // Drum-lane columns sit right of the pitch columns in both vertical modes
+  const drumX = (row) => x(n) + drumGap + row*EK_COL_W;
+  const right = drumX(drums);
+  if (mode === "falling") {
+    const y = (cell) => EK_GRID_TOP + (total - cell)*EK_CELL_H;
+    return { mode, n, total,
+      width: right + 20, height: y(0) + KEYBOARD_H + 10,
+      noteRect: (col, from, to) => ({ x: x(col), y: y(to), w: EK_COL_W, h: (to-from)*EK_CELL_H }),
+      drumRect: (row, from, to) => ({ x: drumX(row), y: y(to), w: EK_COL_W, h: (to-from)*EK_CELL_H }),
+      timeLine: (cell) => ({ x1: x(0), y1: y(cell), x2: right, y2: y(cell) }),
+      toGrid: (px, py) => ({ col: (px - EK_GRID_LEFT) / EK_COL_W, cell: total - (py - EK_GRID_TOP) / EK_CELL_H }),
+      follow: followAxis("y", y, 2/3) };
+  }
+  const y = (cell) => EK_GRID_TOP + cell*EK_CELL_H;
+  return { mode, n, total,
+    width: ekjScoreWidth(ekj, view), height: total*EK_CELL_H + 60,
+    noteRect: (col, from, to) => ({ x: x(col), y: y(from), w: EK_COL_W, h: (to-from)*EK_CELL_H }),
+    drumRect: (row, from, to) => ({ x: drumX(row), y: y(from), w: EK_COL_W, h: (to-from)*EK_CELL_H }),
+    timeLine: (cell) => ({ x1: x(0), y1: y(cell), x2: right, y2: y(cell) }),
+    toGrid: (px, py) => ({ col: (px - EK_GRID_LEFT) / EK_COL_W, cell: (py - EK_GRID_TOP) / EK_CELL_H }),
+    follow: followAxis("y", y, 1/3) };
+}
+
+// Piano-roll and falling-notes drawing: pitch lanes, time grid with measure numbers, and notes as bars.
+// win {from, to} limits the grid and notes to that range of cells, as in buildEKJSvg.
+function buildRollSvg(ekj, view, win) {
+  const geo = ekjGeometry(ekj, view);
+  const from = win ? win.from : 0, to = win ? win.to : geo.total;
+  const cols = ekj.layout.columns;
+  const roll = geo.mode === "pianoroll";
+  const el = (tag, attrs, parent) => {
+    const node = svgElement(tag);
+    Object.keys(attrs).forEach(k => node.setAttribute(k, attrs[k]));
+    parent.appendChild(node);
+    return node;
+  };
+  const svg = svgElement("svg");
+  svg.setAttribute("xmlns", SVG_NS);
+  svg.setAttribute("width", String(geo.width));
+  svg.setAttribute("height", String(geo.height));
+  svg.setAttribute("viewBox", `0 0 ${geo.width} ${geo.height}`);
+  svg.setAttribute("style", "background:#0b0d10");
+
+  // Pitch lanes, labelled at the left (piano roll) or on the keyboard (falling notes)
+  const gBG = el("g", {}, svg);
+  const scale = view.scale ? keyScale(ekj) : null;
+  cols.forEach((c, i) => {
+    const lane = geo.noteRect(i, 0, geo.total);
+    el("rect", { x: lane.x, y: lane.y, width: lane.w, height: lane.h, fill: c.shade ? "#0f1620" : "#0c1118" }, gBG);
+    // In-scale lanes tinted, the tonic's stronger (view.scale)
+    const tonic = scale && c.midi % 12 === scale.tonic;
+    if (scale && scale.pcs.has(c.midi % 12)) {
+      el("rect", { class: tonic ? "ek-tonic" : "ek-in-scale", x: lane.x, y: lane.y, width: lane.w, height: lane.h,
+        fill: "var(--accent)", "fill-opacity": tonic ? "0.2" : "0.07" }, gBG);
+    }
+    if (roll) {
+      const label = el("text", { x: ROLL_LEFT - 4, y: lane.y + ROLL_ROW_H - 3, "text-anchor": "end", fill: tonic ? "var(--accent)" : "#9fb0c3", "font-size": "9" }, gBG);
+      label.textContent = c.label;
+    } else {
+      const keyY = lane.y + lane.h;
+      el("rect", { x: lane.x + 0.5, y: keyY + 2, width: lane.w - 1, height: c.shade ? KEYBOARD_H*0.62 : KEYBOARD_H, rx: "2",
+        fill: c.shade ? "#1a2433" : "#e8edf3", stroke: "#0b0d10" }, gBG);
+      const label = el("text", { x: lane.x + lane.w/2, y: keyY + KEYBOARD_H - 6, "text-anchor": "middle", fill: c.shade ? "#9fb0c3" : "#0b0d10", "font-size": "8" }, gBG);
+      if (!c.shade) label.textContent = c.label;
+    }
+  });
+
+  // Drum lane: a row (piano roll) or column (falling notes) per percussion key, labelled with its short name
+  const drums = drumRows(ekj);
+  const drumRow = new Map(drums.map((d, i) => [d.pitch, i]));
+  drums.forEach((d, i) => {
+    const lane = geo.drumRect(i, 0, geo.total);
+    el("rect", { x: lane.x, y: lane.y, width: lane.w, height: lane.h, fill: i % 2 ? "#0f1620" : "#0c1118" }, gBG);
+    const label = roll
+      ? el("text", { x: ROLL_LEFT - 4, y: lane.y + ROLL_ROW_H - 3, "text-anchor": "end", fill: "#9fb0c3", "font-size": "9" }, gBG)
+      : el("text", { x: lane.x + lane.w/2, y: lane.y + lane.h + 14, "text-anchor": "middle", fill: "#9fb0c3", "font-size": "8" }, gBG);
+    el("title", {}, label).textContent = d.name;
+    label.textContent = d.label;
+  });
+
+  // Time grid: light line per cell, heavy line and number per measure
+  const gGrid = el("g", {}, svg);
+  const bars = measureLines(ekj, geo.total);
+  const barCells = new Set(bars.map(b => Math.round(b.cell*1000)));
+  for (let cell = Math.max(0, Math.ceil(from)); cell <= Math.min(geo.total, to); cell++) {
+    if (!barCells.has(cell*1000)) el("line", Object.assign({ stroke: "var(--gridline)", "stroke-width": "1" }, geo.timeLine(cell)), gGrid);
+  }
+  bars.filter(b => b.cell >= from && b.cell <= to).forEach(b => {
+    const line = geo.timeLine(b.cell);
+    el("line", Object.assign({ stroke: "var(--measure)", "stroke-width": "1.5" }, line), gGrid);
+    const num = roll
+      ? el("text", { x: line.x1 + 3, y: EK_GRID_TOP - 6, fill: "#f3f6fa", "font-size": "10", "font-weight": "bold" }, gGrid)
+      : el("text", { x: EK_GRID_LEFT - 6, y: line.y1 - 3, "text-anchor": "end", fill: "#f3f6fa", "font-size": "10", "font-weight": "bold" }, gGrid);
+    num.textContent = String(b.number);
+  });
+
+  // Notes as bars along the time axis; velocity view scales thickness, fill or outline like the diamonds
+  const gNotes = el("g", {}, svg);
+  const pitchToIndex = (midi) => midi - ekj.layout.pitch_min;
+  ekj.tracks.forEach((tr, ti) => {
+    if (!view.trackShown(ti)) return;
+    const trackColour = tr.color || trackColor(ti);
+    // Drum hits are drawn half a cell long in their drum-lane row
+    const boxOf = tr.drums
+      ? (ev, from, to) => geo.drumRect(drumRow.get(ev.pitch), from, Math.min(to, from + 0.5))
+      : (ev, from, to) => geo.noteRect(pitchToIndex(soundingPitch(ekj, ev.pitch)), from, to);
+    tr.events.forEach((ev, ei) => {
+      if (ev.start > to || ev.start + ev.dur < from) return;
+      const color = eventColor(view, tr, ev, trackColour);
+      if (!color) return;
+      if (ev.type === "grace") {
+        const at = boxOf(ev, ev.start, ev.start);
+        el("circle", { cx: at.x + (roll ? 0 : at.w/2), cy: at.y + (roll ? at.h/2 : 0), r: "3", fill: "none", stroke: color, "stroke-width": "1.4" }, gNotes);
+        return;
+      }
+      if (ev.type !== "note") return;
+      const level = velocityLevel(ev);
+      const box = boxOf(ev, ev.start, ev.start + ev.dur);
+      const thick = view.velocity === "size" ? 0.35 + 0.65*level : 1;
+      const gNote = el("g", { class: "ek-note", "data-start": ev.start, "data-end": ev.start + ev.dur, "data-track": ti, "data-index": ei }, gNotes);
+      const bar = roll
+        ? { x: box.x + 1, y: box.y + (box.h - (box.h - 2)*thick)/2, width: Math.max(1, box.w - 2), height: (box.h - 2)*thick }
+        : { x: box.x + (box.w - (box.w - 4)*thick)/2, y: box.y + 1, width: (box.w - 4)*thick, height: Math.max(1, box.h - 2) };
+      // Left-hand bars get square corners in the hands view
+      const rx = view.hands !== "off" && ev.hand === "L" ? "0" : "3";
+      const rect = el("rect", Object.assign(bar, { rx, fill: color, opacity: String(0.9 * (view.velocity === "fill" ? 0.2 + 0.8*level : 1)) }), gNote);
+      if (view.velocity === "outline") {
+        rect.setAttribute("stroke", "#f3f6fa");
+        rect.setAttribute("stroke-width", (0.3 + 2.7*level).toFixed(2));
+      }
+    });
+  });
+
+  el("line", Object.assign({ class: "ek-playhead", stroke: "var(--accent)", "stroke-width": "2", display: "none" }, geo.timeLine(0)), svg);
+  return svg;
+}
+
+// ---------- Exports ----------
+return {
+  configure, isBlackKey, midiToNoteName, buildColumns,
+  midiArrayBufferToEKJ, musicXmlTextToEKJ, mxlArrayBufferToEKJ, abcTextToEKJ, bufferToEKJ,
+  normalizeTempoMap, normalizeMeterMap, tempoMapOf, meterMapOf, measureLines, beatTicks, normalizeAnnotations,
+  EKJ_VERSION, EKJ_SCHEMA, LAYOUT_MODES, validateEKJ, migrateEKJ, EKJValidationError, EKJImportError, ekjTextToEKJ,
+  KEYBOARD_RANGES, soundingPitch, trackPitch, updateLayoutRange, applyPitchSettings, TRACK_PALETTE, trackColor,
+  SUBDIVISIONS, subdivisionSlot, cellPerQuarterFor, subdivisionName, subdivisionsUsed, clockHandNodes, buildSubdivisionKeySvg,
+  GM_DRUMS, drumRows, HAND_SPLIT_DEFAULT, HAND_COLORS, HAND_NAMES, handSplitOf, assignHands,
+  MODE_STEPS, keyFifths, keyFromFifths, detectKey, keyScale, formatKey,
+  velocityLevel, velocityWedges, QUANTIZE_DEFAULTS, quantizeTracks, formatChord, detectChords, chordSymbolsOf,
+  ekjToMidiArray, MXL_DIVISIONS, splitXmlDuration, ekjToMusicXml,
+  addEnvelopesAndSubcells, SvgNode, escapeXml, toStandaloneSvg, EK_COL_W, EK_CELL_H, EK_GRID_LEFT, EK_GRID_TOP,
+  renderView, ekjTotalCells, ekjScoreWidth, ekjGeometry, buildEKJSvg
+};
+});
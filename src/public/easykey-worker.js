@@ -0,0 +1,33 @@
+// EasyKey import worker: runs the core importers off the page's main thread (started by app.js as a module worker).
+// Workers have no DOMParser, so MusicXML is parsed with linkedom's worker build (as in the Node CLI).
+// In:  { id, name, buffer }
+// Out: { id, type: "progress", fraction, detail } while parsing, then { id, type: "done", result: { kind, ekj } | null }
+//      or { id, type: "error", error: { name, message, reason, where, errors } }
+import { Midi } from "https://cdn.jsdelivr.net/npm/@tonejs/midi@2.0.28/+esm";
+import JSZip from "https://cdn.jsdelivr.net/npm/jszip@3.10.1/+esm";
+import { DOMParser } from "https://cdn.jsdelivr.net/npm/linkedom@0.18.13/worker.js";
+import "./easykey-core.js";
+
+const EasyKeyCore = self.EasyKeyCore;
+EasyKeyCore.configure({ Midi, JSZip, DOMParser });
+
+self.addEventListener("message", async (e) => {
+  const { id, name, buffer } = e.data;
+  // At most one progress message per percent
+  let reported = -1;
+  const onProgress = (fraction, detail) => {
+    const percent = Math.floor(fraction * 100);
+    if (percent === reported) return;
+    reported = percent;
+    self.postMessage({ id, type: "progress", fraction, detail });
+  };
+  try {
+    const result = await EasyKeyCore.bufferToEKJ(name, buffer, onProgress);
+    self.postMessage({ id, type: "done", result });
+  } catch (err) {
+    const error = { name: (err && err.name) || "Error", message: (err && err.message) || String(err) };
+    if (err instanceof EasyKeyCore.EKJImportError) Object.assign(error, { reason: err.reason, where: err.where });
+    if (err instanceof EasyKeyCore.EKJValidationError) error.errors = err.errors;
+    self.postMessage({ id, type: "error", error });
+  }
+});
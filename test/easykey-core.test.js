@@ -0,0 +1,431 @@
+// Core importers, exporters, schema, quantiser, ABC parser and key detection, run in Node with the same parsers as
+// scripts/easykey-convert.js. Run with `npm test`.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Midi } = require("@tonejs/midi");
+const JSZip = require("jszip");
+const { DOMParser } = require("linkedom");
+const EasyKeyCore = require("../src/public/easykey-core.js");
+
+EasyKeyCore.configure({ Midi, JSZip, DOMParser });
+
+const toBuffer = (bytes) => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+const textBuffer = (text) => toBuffer(new TextEncoder().encode(text));
+const notes = (ekj) => [].concat(...ekj.tracks.map(tr => tr.events.filter(ev => ev.type === "note")));
+const pitches = (ekj) => notes(ekj).map(ev => ev.pitch);
+const events = (ekj) => [].concat(...ekj.tracks.map(tr => tr.events.filter(ev => ev.type === "note").map(ev => [ev.pitch, +ev.start.toFixed(3), +ev.dur.toFixed(3)])))
+  .sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+function cMajorMidi() {
+  const midi = new Midi();
+  const track = midi.addTrack();
+  [60, 62, 64, 65, 67, 69, 71, 72].forEach((pitch, i) => track.addNote({ midi: pitch, ticks: i * midi.header.ppq, durationTicks: midi.header.ppq }));
+  return toBuffer(midi.toArray());
+}
+
+// Type-1 SMF from [[delta, ...event bytes]] per track (@tonejs/midi can't write text events to part tracks)
+function smf(tracks, ppq = 480) {
+  const varLen = (n) => { const out = [n & 0x7f]; while ((n >>= 7)) out.unshift((n & 0x7f) | 0x80); return out; };
+  const u32 = (n) => [n >>> 24, (n >> 16) & 255, (n >> 8) & 255, n & 255];
+  const chunk = (id, data) => [...Buffer.from(id), ...u32(data.length), ...data];
+  const meta = (type, text) => [0xff, type, ...varLen(text.length), ...Buffer.from(text, "latin1")];
+  const body = tracks.map(events => chunk("MTrk", [].concat(...events.map(([delta, ev]) => [...varLen(delta), ...(typeof ev[1] === "string" ? meta(...ev) : ev)]), [0, 0xff, 0x2f, 0])));
+  return toBuffer(Uint8Array.from([].concat(chunk("MThd", [0, 1, 0, tracks.length, ppq >> 8, ppq & 255]), ...body)));
+}
+
+const MUSICXML = `<?xml version="1.0"?>
+<score-partwise><part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list>
+<part id="P1"><measure number="1"><attributes><divisions>1</divisions><key><fifths>1</fifths></key><time><beats>2</beats><beat-type>4</beat-type></time></attributes>
+<note><pitch><step>G</step><octave>4</octave></pitch><duration>1</duration></note>
+<note><pitch><step>F</step><alter>1</alter><octave>4</octave></pitch><duration>1</duration></note>
+</measure></part></score-partwise>`;
+
+// ---------- Importers ----------
+test("bufferToEKJ picks the importer from the extension", async () => {
+  const midi = await EasyKeyCore.bufferToEKJ("scale.mid", cMajorMidi());
+  assert.equal(midi.kind, "MIDI");
+  assert.deepEqual(pitches(midi.ekj), [60, 62, 64, 65, 67, 69, 71, 72]);
+
+  const xml = await EasyKeyCore.bufferToEKJ("tune.musicxml", textBuffer(MUSICXML));
+  assert.equal(xml.kind, "MusicXML");
+  assert.deepEqual(pitches(xml.ekj), [67, 66]);
+  assert.equal(xml.ekj.metadata.key.fifths, 1);
+
+  const abc = await EasyKeyCore.bufferToEKJ("tune.abc", textBuffer("X:1\nL:1/4\nK:C\nC D E F|\n"));
+  assert.equal(abc.kind, "ABC");
+
+  assert.equal(await EasyKeyCore.bufferToEKJ("notes.txt", textBuffer("C D E")), null);
+  assert.equal(await EasyKeyCore.bufferToEKJ("package.json", textBuffer("{}")), null);
+});
+
+test("an exported EKJ loads back as .ekj.json", async () => {
+  const { ekj } = await EasyKeyCore.bufferToEKJ("scale.mid", cMajorMidi());
+  const back = await EasyKeyCore.bufferToEKJ("scale.ekj.json", textBuffer(JSON.stringify(ekj)));
+  assert.equal(back.kind, "EKJ");
+  assert.deepEqual(pitches(back.ekj), pitches(ekj));
+});
+
+test("broken files reject with EKJImportError", async () => {
+  await assert.rejects(EasyKeyCore.bufferToEKJ("bad.mid", textBuffer("MThdjunk")), EasyKeyCore.EKJImportError);
+  await assert.rejects(EasyKeyCore.bufferToEKJ("page.xml", textBuffer("<html><body/></html>")), EasyKeyCore.EKJImportError);
+  await assert.rejects(EasyKeyCore.bufferToEKJ("bad.mxl", textBuffer("PKjunk")), EasyKeyCore.EKJImportError);
+});
+
+test("MusicXML backup, forward, chords, voices and staves land on the right onsets", async () => {
+  const N = (step, octave, d, extra = "") => `<note>${extra.includes("<chord/>") ? "<chord/>" : ""}<pitch><step>${step}</step><octave>${octave}</octave></pitch><duration>${d}</duration>${extra.replace("<chord/>", "")}</note>`;
+  const ekj = await EasyKeyCore.musicXmlTextToEKJ(`<score-partwise><part-list><score-part id="P1"><part-name>Piano</part-name></score-part></part-list><part id="P1">
+<measure number="1"><attributes><divisions>1</divisions><staves>2</staves><time><beats>4</beats><beat-type>4</beat-type></time></attributes>
+${N("E", 5, 2, "<voice>1</voice><staff>1</staff>")}${N("G", 5, 2, "<chord/><voice>1</voice><staff>1</staff>")}${N("D", 5, 2, "<voice>1</voice><staff>1</staff>")}
+<backup><duration>4</duration></backup>${N("C", 5, 4, "<voice>2</voice><staff>1</staff>")}
+<backup><duration>4</duration></backup><forward><duration>1</duration></forward>${N("C", 3, 3, "<voice>5</voice><staff>2</staff>")}</measure>
+<measure number="2"><attributes><divisions>2</divisions></attributes>${N("F", 4, 8, "<voice>1</voice><staff>1</staff>")}</measure></part></score-partwise>`, "voices.musicxml");
+  assert.deepEqual(notes(ekj).map(ev => [ev.pitch, ev.start, ev.dur, ev.voice, ev.staff]),
+    [[76, 0, 2, "1", 1], [79, 0, 2, "1", 1], [74, 2, 2, "1", 1], [72, 0, 4, "2", 1], [48, 1, 3, "5", 2], [65, 4, 4, "1", 1]]);
+  assert.deepEqual(EasyKeyCore.measureLines(ekj, 8).map(b => b.cell), [0, 4]);
+});
+
+test("MusicXML ties merge across barlines, graces become ornaments and tuplets keep exact onsets", async () => {
+  const N = (step, d, extra = "") => `<note>${extra.startsWith("<grace") ? extra : ""}<pitch><step>${step}</step><octave>4</octave></pitch><duration>${d}</duration>${extra.startsWith("<grace") ? "" : extra}</note>`;
+  const T = "<time-modification><actual-notes>3</actual-notes><normal-notes>2</normal-notes></time-modification>";
+  const ekj = await EasyKeyCore.musicXmlTextToEKJ(`<score-partwise><part-list><score-part id="P1"><part-name>P</part-name></score-part></part-list><part id="P1">
+<measure number="1"><attributes><divisions>3</divisions><time><beats>2</beats><beat-type>4</beat-type></time></attributes>${N("C", 1, T)}${N("D", 1, T)}${N("E", 1, T)}${N("G", 3, '<tie type="start"/>')}</measure>
+<measure number="2">${N("A", 0, '<grace slash="yes"/>')}${N("G", 3, '<tie type="stop"/>')}${N("F", 3)}</measure></part></score-partwise>`, "ornaments.musicxml");
+  const expected = [["note", 60, 0, 1/3, [3, 2]], ["note", 62, 1/3, 1/3, [3, 2]], ["note", 64, 2/3, 1/3, [3, 2]],
+    ["note", 67, 1, 2, undefined], ["grace", 69, 2, 0, undefined], ["note", 65, 3, 1, undefined]];
+  const described = (score) => score.tracks[0].events.map(ev => [ev.type, ev.pitch, ev.start, ev.dur, ev.tuplet]);
+  assert.deepEqual(described(ekj), expected);
+  assert.equal(ekj.tracks[0].events[4].slash, true);
+
+  // The grace before the tied-over G stays there on export
+  const back = await EasyKeyCore.musicXmlTextToEKJ(EasyKeyCore.ekjToMusicXml(ekj), "ornaments.musicxml");
+  assert.deepEqual(described(back), expected);
+  assert.equal(back.tracks[0].events[4].slash, true);
+});
+
+test("a single MIDI track splits by channel, with channel 10 on the drum lane", () => {
+  const ekj = EasyKeyCore.midiArrayBufferToEKJ(smf([[
+    [0, [0xc0, 0]], [0, [0xc1, 33]], [0, [0x90, 60, 100]], [0, [0x91, 40, 100]], [0, [0x99, 36, 100]], [0, [0x99, 42, 90]],
+    [480, [0x80, 60, 0]], [0, [0x81, 40, 0]], [0, [0x89, 36, 0]], [0, [0x89, 42, 0]], [0, [0x99, 38, 100]], [240, [0x89, 38, 0]]
+  ]]));
+  assert.deepEqual(ekj.tracks.map(tr => [tr.name, tr.channel, tr.program, !!tr.drums, pitches({ tracks: [tr] })]),
+    [["Acoustic Grand Piano", 1, 0, false, [60]], ["Electric Bass (Finger)", 2, 33, false, [40]], ["Drums", 10, 0, true, [36, 42, 38]]]);
+  assert.deepEqual(EasyKeyCore.drumRows(ekj).map(d => [d.pitch, d.name, d.label]), [[36, "Bass Drum", "BD"], [38, "Acoustic Snare", "SD"], [42, "Closed Hi-Hat", "HH"]]);
+  assert.deepEqual([ekj.layout.pitch_min, ekj.layout.pitch_max], [40, 60]);
+
+  const back = EasyKeyCore.midiArrayBufferToEKJ(toBuffer(EasyKeyCore.ekjToMidiArray(ekj)));
+  assert.deepEqual(back.tracks.map(tr => [tr.channel, tr.program, !!tr.drums]), [[1, 0, false], [2, 33, false], [10, 0, true]]);
+  assert.deepEqual(events(back), events(ekj));
+});
+
+// ---------- Tempo & Meter Maps ----------
+test("MIDI tempo and time-signature changes become tempo and meter maps", () => {
+  const midi = new Midi();
+  midi.header.tempos.push({ ticks: 0, bpm: 100 }, { ticks: 1920, bpm: 140 });
+  midi.header.timeSignatures.push({ ticks: 0, timeSignature: [4, 4] }, { ticks: 1920, timeSignature: [3, 4] });
+  midi.header.update();
+  const track = midi.addTrack();
+  for (let i = 0; i < 10; i++) track.addNote({ midi: 60, ticks: i * 480, durationTicks: 480 });
+  const ekj = EasyKeyCore.midiArrayBufferToEKJ(toBuffer(midi.toArray()));
+  assert.deepEqual(ekj.metadata.tempo_map, [{ cell: 0, bpm: 100 }, { cell: 4, bpm: 140 }]);
+  assert.deepEqual(ekj.metadata.meter_map, [{ cell: 0, time_signature: [4, 4] }, { cell: 4, time_signature: [3, 4] }]);
+  assert.deepEqual(EasyKeyCore.measureLines(ekj, 10).map(b => [b.cell, b.number, b.meterChange]), [[0, 1, true], [4, 2, true], [7, 3, false]]);
+});
+
+test("MusicXML tempo, meter and divisions changes map onto cells", async () => {
+  const N = (step, d) => `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>${d}</duration></note>`;
+  const ekj = await EasyKeyCore.musicXmlTextToEKJ(`<score-partwise><part-list><score-part id="P1"><part-name>P</part-name></score-part></part-list><part id="P1">
+<measure number="1"><attributes><divisions>2</divisions><time><beats>2</beats><beat-type>4</beat-type></time></attributes><direction><sound tempo="90"/></direction>${N("C", 4)}</measure>
+<measure number="2"><attributes><divisions>4</divisions><time><beats>6</beats><beat-type>8</beat-type></time></attributes><direction><sound tempo="60"/></direction>${N("D", 12)}</measure>
+<measure number="3">${N("E", 6)}${N("F", 6)}</measure></part></score-partwise>`, "maps.musicxml");
+  assert.deepEqual(ekj.metadata.tempo_map, [{ cell: 0, bpm: 90 }, { cell: 2, bpm: 60 }]);
+  assert.deepEqual(ekj.metadata.meter_map, [{ cell: 0, time_signature: [2, 4] }, { cell: 2, time_signature: [6, 8] }]);
+  assert.deepEqual(EasyKeyCore.measureLines(ekj, 8).map(b => b.cell), [0, 2, 5]);
+  assert.deepEqual(events(ekj), [[60, 0, 2], [62, 2, 3], [64, 5, 1.5], [65, 6.5, 1.5]]);
+});
+
+test("normalizeTempoMap sorts, drops repeats and starts at cell 0", () => {
+  assert.deepEqual(EasyKeyCore.normalizeTempoMap([{ cell: 4, bpm: 140 }, { cell: 2, bpm: 100 }, { cell: 4, bpm: 150 }, { cell: 6, bpm: 150 }]),
+    [{ cell: 0, bpm: 100 }, { cell: 2, bpm: 100 }, { cell: 4, bpm: 150 }]);
+});
+
+// ---------- Exporters ----------
+test("a MIDI export imports back with the same notes, tempo and meter", async () => {
+  const { ekj } = await EasyKeyCore.bufferToEKJ("tune.musicxml", textBuffer(MUSICXML));
+  const back = EasyKeyCore.midiArrayBufferToEKJ(toBuffer(EasyKeyCore.ekjToMidiArray(ekj)));
+  assert.deepEqual(events(back), events(ekj));
+  assert.deepEqual(EasyKeyCore.meterMapOf(back), EasyKeyCore.meterMapOf(ekj));
+  assert.deepEqual(EasyKeyCore.tempoMapOf(back), EasyKeyCore.tempoMapOf(ekj));
+});
+
+test("a MusicXML export imports back with the same notes and key", async () => {
+  const { ekj } = await EasyKeyCore.bufferToEKJ("scale.mid", cMajorMidi());
+  const back = await EasyKeyCore.musicXmlTextToEKJ(EasyKeyCore.ekjToMusicXml(ekj), "scale.musicxml");
+  assert.deepEqual(events(back), events(ekj));
+  assert.deepEqual([back.metadata.key.tonic, back.metadata.key.mode], [0, "major"]);
+});
+
+function score(events, metadata = {}) {
+  return { version: EasyKeyCore.EKJ_VERSION, metadata: Object.assign({ title: "Test" }, metadata), layout: { cell_per_quarter: 1, mode: "classic", columns: [] },
+    tracks: [{ name: "Piano", events: events.map(([pitch, start, dur]) => ({ type: "note", pitch, start, dur })) }] };
+}
+const xmlPitches = (xml) => Array.from(xml.matchAll(/<step>(\w)<\/step>(?:<alter>(-?\d)<\/alter>)?/g), m => m[1] + (["bb", "b", "", "#", "##"][+(m[2] || 0) + 2]));
+
+test("MusicXML export spells notes with flats in flat keys and sharps otherwise", async () => {
+  const cMinor = score([[63, 0, 1], [70, 1, 1]], { key: { tonic: 0, mode: "minor", fifths: -3, source: "abc" } });
+  const xml = EasyKeyCore.ekjToMusicXml(cMinor);
+  assert.deepEqual(xmlPitches(xml), ["Eb", "Bb"]);
+  assert.deepEqual(events(await EasyKeyCore.musicXmlTextToEKJ(xml, "x")), events(cMinor));
+  const eMajor = score([[63, 0, 1], [70, 1, 1]], { key: { tonic: 4, mode: "major", fifths: 4, source: "abc" } });
+  assert.deepEqual(xmlPitches(EasyKeyCore.ekjToMusicXml(eMajor)), ["D#", "A#"]);
+});
+
+test("splitXmlDuration uses straight values first and triplets only for tuplet lengths", () => {
+  const split = (d) => EasyKeyCore.splitXmlDuration(d).map(p => [p.dur, p.type, p.dots, p.triplet]);
+  assert.deepEqual(split(100), [[96, "quarter", 0, false], [6, "64th", 0, false]]);
+  assert.deepEqual(split(98), [[96, "quarter", 0, false]]);
+  assert.deepEqual(split(64), [[64, "quarter", 0, true]]);
+  assert.deepEqual(split(136), [[72, "eighth", 1, false], [64, "quarter", 0, true]]);
+  assert.deepEqual(split(240), [[192, "half", 0, false], [48, "eighth", 0, false]]);
+});
+
+test("MusicXML export writes triplets and fills every measure", async () => {
+  const triplets = EasyKeyCore.abcTextToEKJ("X:1\nM:2/4\nL:1/8\nK:C\n(3cde f2|\n");
+  const xml = EasyKeyCore.ekjToMusicXml(triplets);
+  assert.equal((xml.match(/<actual-notes>3<\/actual-notes>/g) || []).length, 3);
+  assert.deepEqual(events(await EasyKeyCore.musicXmlTextToEKJ(xml, "x")), events(triplets));
+
+  // A performed note 100 divisions long is written as whole note values, and its measure still adds up
+  const performed = score([[60, 0, 100/96], [62, 2, 1]], { meter_map: [{ cell: 0, time_signature: [4, 4] }] });
+  const measures = EasyKeyCore.ekjToMusicXml(performed).match(/<measure[\s\S]*?<\/measure>/g);
+  measures.forEach(m => {
+    const total = Array.from(m.matchAll(/<note>(?:(?!<chord\/>).)*?<duration>(\d+)<\/duration>/g), d => +d[1]).reduce((a, d) => a + d, 0);
+    assert.equal(total, 4 * EasyKeyCore.MXL_DIVISIONS);
+  });
+});
+
+test("MIDI export keeps channel 10 for drums however many pitched tracks there are", () => {
+  const ekj = score([]);
+  ekj.tracks = Array.from({ length: 24 }, (_, i) => ({ name: `Part ${i+1}`, program: i % 8, events: [{ type: "note", pitch: 60, start: i, dur: 1 }] }));
+  ekj.tracks.push({ name: "Drums", drums: true, events: [{ type: "note", pitch: 36, start: 0, dur: 1 }] });
+  const midi = new Midi(EasyKeyCore.ekjToMidiArray(ekj));
+  const channels = midi.tracks.filter(t => t.notes.length).map(t => [t.instrument.number, t.channel, t.instrument.percussion]);
+  assert.deepEqual(channels.filter(([, ch]) => ch === 9), [[0, 9, true]]);
+  // Tracks past the 15 pitched channels share one per program
+  channels.slice(0, 24).forEach(([program, ch], i) => assert.deepEqual([program, ch], [i % 8, i % 8]));
+
+  const few = score([]);
+  few.tracks = Array.from({ length: 15 }, (_, i) => ({ name: `Part ${i+1}`, events: [{ type: "note", pitch: 60, start: i, dur: 1 }] }));
+  assert.deepEqual(new Midi(EasyKeyCore.ekjToMidiArray(few)).tracks.filter(t => t.notes.length).map(t => t.channel),
+    [0, 1, 2, 3, 4, 5, 6, 7, 8, 10, 11, 12, 13, 14, 15]);
+});
+
+test("MIDI export writes pickups and irregular bars as their own time signature", async () => {
+  const N = (step, d) => `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>${d}</duration></note>`;
+  const pickup = await EasyKeyCore.musicXmlTextToEKJ(`<score-partwise><part-list><score-part id="P1"><part-name>P</part-name></score-part></part-list>
+<part id="P1"><measure number="0" implicit="yes"><attributes><divisions>1</divisions><time><beats>4</beats><beat-type>4</beat-type></time></attributes>${N("G", 1)}</measure>
+<measure number="1">${N("C", 4)}</measure><measure number="2">${N("D", 4)}</measure></part></score-partwise>`, "pickup.musicxml");
+  const barlines = (ekj) => EasyKeyCore.measureLines(ekj, 9).map(b => b.cell);
+  const back = EasyKeyCore.midiArrayBufferToEKJ(toBuffer(EasyKeyCore.ekjToMidiArray(pickup)));
+  assert.deepEqual(barlines(back), [0, 1, 5]);
+  assert.deepEqual(back.metadata.meter_map.map(m => m.time_signature), [[1, 4], [4, 4]]);
+
+  const irregular = score([[60, 0, 9]], { meter_map: [{ cell: 0, time_signature: [4, 4] }, { cell: 6, time_signature: [3, 8] }] });
+  const midi = new Midi(EasyKeyCore.ekjToMidiArray(irregular));
+  assert.deepEqual(midi.header.timeSignatures.map(t => [t.ticks / midi.header.ppq, t.timeSignature]), [[0, [4, 4]], [4, [2, 4]], [6, [3, 8]]]);
+});
+
+// ---------- Annotations ----------
+test("MusicXML directions fill pedal, dynamics and markers once for all parts", async () => {
+  const D = (inner, offset = "") => `<direction><direction-type>${inner}</direction-type>${offset}</direction>`;
+  const N = (step, d) => `<note><pitch><step>${step}</step><octave>4</octave></pitch><duration>${d}</duration></note>`;
+  const part = (id) => `<part id="${id}"><measure number="1"><attributes><divisions>2</divisions><time><beats>4</beats><beat-type>4</beat-type></time></attributes>
+${D("<rehearsal>A</rehearsal>")}${D('<pedal type="start"/>')}${D("<dynamics><p/></dynamics>")}${N("C", 4)}${D("<words>dolce</words>", "<offset>2</offset>")}${D('<pedal type="change"/>')}${N("D", 2)}
+${D("<dynamics><other-dynamics>sfp</other-dynamics></dynamics>")}${N("E", 2)}</measure><measure number="2">${D('<pedal type="stop"/>')}${N("F", 8)}</measure></part>`;
+  const ekj = await EasyKeyCore.musicXmlTextToEKJ(`<score-partwise><part-list><score-part id="P1"><part-name>R</part-name></score-part>
+<score-part id="P2"><part-name>L</part-name></score-part></part-list>${part("P1")}${part("P2")}</score-partwise>`, "directions.musicxml");
+  const { pedal, markers, dynamics } = ekj.annotations;
+  assert.deepEqual(pedal, [{ start: 0, end: 2 }, { start: 2, end: 4 }]);
+  assert.deepEqual(markers.map(m => [m.cell, m.text, m.kind]), [[0, "A", "rehearsal"], [3, "dolce", "words"]]);
+  assert.deepEqual(dynamics.map(d => [d.cell, d.mark]), [[0, "p"], [3, "sfp"]]);
+});
+
+test("MIDI sustain pedal (CC64) becomes pedal spans, the last one held to the end", () => {
+  const midi = new Midi();
+  const track = midi.addTrack();
+  track.addNote({ midi: 60, ticks: 0, durationTicks: 1920 });
+  [[0, 1], [960, 0], [1440, 0.8]].forEach(([ticks, value]) => track.addCC({ number: 64, value, ticks }));
+  assert.deepEqual(EasyKeyCore.midiArrayBufferToEKJ(toBuffer(midi.toArray())).annotations.pedal, [{ start: 0, end: 2 }, { start: 3, end: 4 }]);
+});
+
+test("normalizeAnnotations sorts and drops repeats", () => {
+  const ann = EasyKeyCore.normalizeAnnotations({
+    pedal: [{ start: 4, end: 6 }, { start: 0, end: 2 }, { start: 0, end: 2 }, { start: 3, end: 3 }],
+    markers: [{ cell: 4, text: "B" }, { cell: 0, text: "A" }, { cell: 4, text: "B" }],
+    dynamics: [{ cell: 2, mark: "f" }, { cell: 2, mark: "f" }, { cell: 2, mark: "p" }]
+  });
+  assert.deepEqual(ann.pedal, [{ start: 0, end: 2 }, { start: 4, end: 6 }]);
+  assert.deepEqual(ann.markers, [{ cell: 0, text: "A" }, { cell: 4, text: "B" }]);
+  assert.deepEqual(ann.dynamics, [{ cell: 2, mark: "f" }, { cell: 2, mark: "p" }]);
+  assert.deepEqual(ann.chords, []);
+});
+
+test("MIDI markers, cues and dynamics are read from every track", () => {
+  const ekj = EasyKeyCore.midiArrayBufferToEKJ(smf([
+    [[0, [0x03, "Song"]], [0, [0x06, "Intro"]]],
+    [[0, [0x03, "Piano"]], [0, [0x90, 60, 100]], [480, [0x80, 60, 0]], [480, [0x06, "Chorus"]], [0, [0x01, "ff"]], [0, [0x90, 62, 100]], [480, [0x80, 62, 0]]],
+    [[960, [0x07, "Strings in"]], [0, [0x06, "Chorus"]]]
+  ]));
+  const { markers, dynamics } = ekj.annotations;
+  assert.deepEqual(markers.map(m => [m.cell, m.text, m.kind]), [[0, "Intro", "marker"], [2, "Chorus", "marker"], [2, "Strings in", "marker"]]);
+  assert.deepEqual(dynamics.map(d => [d.cell, d.mark]), [[2, "ff"]]);
+  assert.deepEqual(pitches(ekj), [60, 62]);
+});
+
+// ---------- Schema ----------
+test("imported scores validate against the schema", async () => {
+  const { ekj } = await EasyKeyCore.bufferToEKJ("scale.mid", cMajorMidi());
+  assert.deepEqual(EasyKeyCore.validateEKJ(ekj), []);
+});
+
+test("schema problems are reported with their path", async () => {
+  const { ekj } = await EasyKeyCore.bufferToEKJ("scale.mid", cMajorMidi());
+  ekj.metadata.key = { tonic: 0, mode: "major", fifths: 9, source: "abc" };
+  ekj.tracks[0].events[0].pitch = "C4";
+  const paths = EasyKeyCore.validateEKJ(ekj).map(e => e.path);
+  assert.ok(paths.includes("metadata.key.fifths"), paths.join());
+  assert.ok(paths.some(p => /^tracks\[0\]\.events\[0\]\.pitch/.test(p)), paths.join());
+  assert.throws(() => EasyKeyCore.ekjTextToEKJ(JSON.stringify(ekj)), EasyKeyCore.EKJValidationError);
+  assert.throws(() => EasyKeyCore.ekjTextToEKJ("{ not json"), EasyKeyCore.EKJValidationError);
+});
+
+// ---------- Hands ----------
+const hands = (ekj) => ekj.tracks.map(tr => tr.events.map(ev => `${ev.pitch}${ev.hand || "-"}`).join(" "));
+
+test("assignHands uses staves, then track names", () => {
+  const ekj = score([]);
+  ekj.tracks = [
+    { name: "Piano", events: [{ type: "note", pitch: 40, start: 0, dur: 1, staff: 1 }, { type: "note", pitch: 72, start: 0, dur: 1, staff: 2 }] },
+    { name: "Piano LH", events: [{ type: "note", pitch: 72, start: 0, dur: 1 }] },
+    { name: "Right Hand", events: [{ type: "note", pitch: 40, start: 0, dur: 1 }] },
+    { name: "Drums", drums: true, events: [{ type: "note", pitch: 36, start: 0, dur: 1, hand: "L" }] }
+  ];
+  EasyKeyCore.assignHands(ekj);
+  assert.deepEqual(hands(ekj), ["40R 72L", "72L", "40R", "36-"]);
+});
+
+test("assignHands splits chords at the split point and follows each hand", () => {
+  const ekj = score([[36, 0, 1], [64, 0, 1], [62, 1, 1], [59, 2, 1], [57, 3, 1], [40, 4, 1], [38, 5, 1]]);
+  EasyKeyCore.assignHands(ekj);
+  // The right hand keeps walking down below middle C until the left hand comes back in
+  assert.deepEqual(hands(ekj), ["36L 64R 62R 59R 57R 40L 38L"]);
+
+  const low = score([[50, 0, 1], [55, 1, 1]]);
+  EasyKeyCore.assignHands(low);
+  assert.deepEqual(hands(low), ["50L 55L"]);
+  low.layout.hand_split = 48;
+  EasyKeyCore.assignHands(low);
+  assert.deepEqual(hands(low), ["50R 55R"]);
+});
+
+test("a one-hand view draws only that hand's notes", () => {
+  const ekj = score([[40, 0, 1], [72, 0, 1], [74, 1, 1]]);
+  EasyKeyCore.updateLayoutRange(ekj);
+  EasyKeyCore.assignHands(ekj);
+  EasyKeyCore.addEnvelopesAndSubcells(ekj);
+  const svg = (hands) => String(EasyKeyCore.toStandaloneSvg(EasyKeyCore.buildEKJSvg(ekj, { view: { hands } })));
+  const { R, L } = EasyKeyCore.HAND_COLORS;
+  assert.ok(svg("both").includes(R) && svg("both").includes(L));
+  assert.ok(svg("R").includes(R) && !svg("R").includes(L));
+  assert.ok(svg("L").includes(L) && !svg("L").includes(R));
+});
+
+// ---------- Subdivisions ----------
+test("an onset a tick before a cell is drawn in that cell without changing the note", async () => {
+  const midi = new Midi();
+  const ppq = midi.header.ppq;
+  const track = midi.addTrack();
+  track.addNote({ midi: 60, ticks: 0, durationTicks: ppq });
+  track.addNote({ midi: 62, ticks: 2 * ppq - 1, durationTicks: 1 });
+  const { ekj } = await EasyKeyCore.bufferToEKJ("early.mid", toBuffer(midi.toArray()));
+  const early = notes(ekj).find(ev => ev.pitch === 62);
+  const { start, dur } = early;
+  assert.ok(start < 2 && dur > 0, `start ${start} dur ${dur}`);
+  assert.equal(early._startCell, 2);
+  assert.equal(early._endCell, 2);
+  assert.deepEqual([early.subdiv, early.subcells, early.offset], [4, [0], 0]);
+  // Derived fields only: recomputing them (as every edit does) leaves the performed timing alone
+  EasyKeyCore.addEnvelopesAndSubcells(ekj);
+  EasyKeyCore.addEnvelopesAndSubcells(ekj);
+  assert.deepEqual([early.start, early.dur], [start, dur]);
+  assert.deepEqual(EasyKeyCore.validateEKJ(ekj), []);
+});
+
+// ---------- Quantiser ----------
+function performance(events) {
+  return { layout: { cell_per_quarter: 4 }, tracks: [{ name: "Piano", events: events.map(([pitch, start, dur, vel = 80]) => ({ type: "note", pitch, start, dur, vel })) }] };
+}
+
+test("quantizeTracks snaps onsets to the grid without touching the input", () => {
+  const ekj = performance([[60, 0.2, 0.9], [62, 2.1, 1.8], [64, 3.9, 2.2]]);
+  const { tracks, stats } = EasyKeyCore.quantizeTracks(ekj, { grid: 2 });
+  assert.deepEqual(tracks[0].events.map(ev => [ev.start, ev.dur]), [[0, 2], [2, 2], [4, 2]]);
+  assert.equal(stats.notes, 3);
+  assert.equal(stats.moved, 3);
+  assert.equal(ekj.tracks[0].events[0].start, 0.2);
+});
+
+test("quantizeTracks merges same-pitch notes snapped onto one onset", () => {
+  const ekj = performance([[60, 0, 2, 40], [60, 0.6, 3, 120], [62, 0.5, 1]]);
+  const { tracks, stats } = EasyKeyCore.quantizeTracks(ekj, { grid: 2, swing: "auto" });
+  assert.deepEqual(tracks[0].events.map(ev => [ev.pitch, ev.start, ev.dur, ev.vel]), [[60, 0, 4, 120], [62, 0, 2, 80]]);
+  assert.ok(tracks[0].events.every(ev => !("velocity" in ev)));
+  assert.equal(stats.merged, 1);
+});
+
+// ---------- ABC ----------
+test("abcTextToEKJ reads lengths, accidentals and the key signature", () => {
+  const ekj = EasyKeyCore.abcTextToEKJ("X:1\nM:4/4\nL:1/8\nK:G\nGABc d2 f2|]\n");
+  assert.deepEqual(pitches(ekj), [67, 69, 71, 72, 74, 78]);
+  assert.deepEqual(notes(ekj).map(ev => ev.dur / ekj.layout.cell_per_quarter), [0.5, 0.5, 0.5, 0.5, 1, 1]);
+  assert.deepEqual(ekj.metadata.key, { tonic: 7, mode: "major", fifths: 1, source: "abc" });
+});
+
+test("abcTextToEKJ unfolds repeats up to the highest ending", () => {
+  const ekj = EasyKeyCore.abcTextToEKJ("X:1\nM:2/4\nL:1/4\nK:C\n|:C D|[1,2 E F:|[3 G A|]\n");
+  assert.deepEqual(pitches(ekj), [60, 62, 64, 65, 60, 62, 64, 65, 60, 62, 67, 69]);
+});
+
+test("a clef-only K: field keeps the key signature", () => {
+  const ekj = EasyKeyCore.abcTextToEKJ("X:1\nL:1/4\nK:G\nF F [K:bass] F F|\n");
+  assert.deepEqual(pitches(ekj), [66, 66, 66, 66]);
+});
+
+test("modal keys past seven fifths are respelled into range", () => {
+  const ekj = EasyKeyCore.abcTextToEKJ("X:1\nL:1/4\nK:C#lyd\nF C|\n");
+  assert.deepEqual(ekj.metadata.key, { tonic: 1, mode: "lydian", fifths: -4, source: "abc" });
+  assert.deepEqual(pitches(ekj), [67, 61]);
+  assert.deepEqual(EasyKeyCore.validateEKJ(ekj), []);
+});
+
+test("text without a tune is rejected", () => {
+  assert.throws(() => EasyKeyCore.abcTextToEKJ("hello world"), { name: "EKJImportError", reason: "no ABC tune found" });
+});
+
+// ---------- Key Detection ----------
+test("detectKey finds the key of a scale", async () => {
+  const { ekj } = await EasyKeyCore.bufferToEKJ("scale.mid", cMajorMidi());
+  const key = EasyKeyCore.detectKey(ekj);
+  assert.equal(key.tonic, 0);
+  assert.equal(key.mode, "major");
+  assert.equal(key.fifths, 0);
+  assert.deepEqual(ekj.metadata.key && [ekj.metadata.key.tonic, ekj.metadata.key.mode], [0, "major"]);
+});
+
+test("detectKey returns null without notes", () => {
+  assert.equal(EasyKeyCore.detectKey(performance([])), null);
+});
+
+test("formatKey spells flat keys with flats", () => {
+  assert.equal(EasyKeyCore.formatKey(EasyKeyCore.keyFromFifths(-3, "major", "abc")), "Eb major");
+  assert.equal(EasyKeyCore.formatKey({ tonic: 9, mode: "minor" }, 2), "B minor");
+});